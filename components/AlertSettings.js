@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { QUALITY_LEVELS, WIND_OPTIONS, TIDE_OPTIONS, describeTrigger, getTriggerId } from '../lib/alertTriggers';
+
+// The browser's saved triggers, so the panel can show what's set up
+const STORAGE_KEY = 'obsuf-alerts';
+
+// The server drops subscriptions it hasn't heard about in a while, so a saved
+// one is renewed when the page is opened this long after the last save
+const RENEW_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Levels worth being pinged about
+const ALERT_LEVELS = QUALITY_LEVELS.slice(QUALITY_LEVELS.indexOf('fair'));
+
+const DEFAULT_TRIGGER = { minQuality: 'good', wind: 'clean', tide: 'any', daylightOnly: true };
+
+// PushManager wants the VAPID key as bytes
+function base64UrlToUint8Array(value) {
+    const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Save the subscription again with the same spot and triggers
+async function renewSubscription(subscription, saved) {
+    const response = await fetch('/api/push/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription, spot: saved.spot, triggers: saved.triggers }),
+    });
+    if (response.ok) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...saved, savedAt: Date.now() }));
+    }
+}
+
+function isPushSupported() {
+    return typeof window !== 'undefined' &&
+        'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// Opt-in push alerts: pick the conditions worth a ping, subscribe, and the
+// server checks them every 15 minutes (lib/alerts.js)
+export default function AlertSettings({ spot }) {
+    const [supported, setSupported] = useState(null);
+    const [subscribed, setSubscribed] = useState(null);
+    const [triggers, setTriggers] = useState([DEFAULT_TRIGGER]);
+    const [draft, setDraft] = useState(DEFAULT_TRIGGER);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        if (!isPushSupported()) {
+            setSupported(false);
+            return;
+        }
+        setSupported(true);
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved?.triggers?.length) {
+                setTriggers(saved.triggers);
+                setSubscribed(saved);
+            }
+        } catch {
+            // Nothing saved (or unreadable) - start fresh
+        }
+
+        // The browser may have dropped the subscription since
+        navigator.serviceWorker.getRegistration('/sw.js')
+            .then(registration => registration?.pushManager.getSubscription())
+            .then(subscription => {
+                if (!subscription) {
+                    setSubscribed(null);
+                    localStorage.removeItem(STORAGE_KEY);
+                } else if (saved?.triggers?.length && (saved.savedAt || 0) < Date.now() - RENEW_AFTER_MS) {
+                    return renewSubscription(subscription, saved);
+                }
+            })
+            .catch(() => {});
+    }, []);
+
+    const addTrigger = () => {
+        const id = getTriggerId(draft);
+        if (!triggers.some(trigger => getTriggerId(trigger) === id)) {
+            setTriggers([...triggers, draft].slice(-5));
+        }
+    };
+
+    const removeTrigger = (id) => {
+        setTriggers(triggers.filter(trigger => getTriggerId(trigger) !== id));
+    };
+
+    const subscribe = async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                throw new Error('Notifications are blocked for this site');
+            }
+
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            await navigator.serviceWorker.ready;
+
+            const keyResponse = await fetch('/api/push/subscribe');
+            const { publicKey } = await keyResponse.json();
+            if (!keyResponse.ok || !publicKey) {
+                throw new Error('Alerts are unavailable right now');
+            }
+
+            const subscription = await registration.pushManager.getSubscription() ||
+                await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: base64UrlToUint8Array(publicKey),
+                });
+
+            const response = await fetch('/api/push/subscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ subscription, spot: spot.slug, triggers }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Could not save alerts');
+            }
+
+            const saved = { spot: data.spot, spotName: spot.name, triggers: data.triggers, savedAt: Date.now() };
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+            setSubscribed(saved);
+            setMessage('🔔 Alerts on - we\'ll ping you when it turns on.');
+        } catch (error) {
+            console.error('Error subscribing to alerts:', error);
+            setMessage(`⚠️ ${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const unsubscribe = async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const registration = await navigator.serviceWorker.getRegistration('/sw.js');
+            const subscription = await registration?.pushManager.getSubscription();
+
+            if (subscription) {
+                await fetch('/api/push/subscribe', {
+                    method: 'DELETE',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ endpoint: subscription.endpoint }),
+                });
+                await subscription.unsubscribe();
+            }
+
+            localStorage.removeItem(STORAGE_KEY);
+            setSubscribed(null);
+            setMessage('🔕 Alerts off.');
+        } catch (error) {
+            console.error('Error unsubscribing from alerts:', error);
+            setMessage(`⚠️ ${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (supported === null) return null;
+
+    if (!supported) {
+        return (
+            <div className="alert-settings">
+                <p>⚠️ This browser doesn&apos;t support push notifications. On iPhone, add obsuf.surf to your home screen first.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="alert-settings">
+            {subscribed && (
+                <p className="alert-status">
+                    🔔 Alerts on for {subscribed.spotName || subscribed.spot}
+                    {subscribed.spot !== spot.slug ? ` - saving here switches them to ${spot.name}` : ''}
+                </p>
+            )}
+
+            <ul className="alert-triggers">
+                {triggers.map(trigger => {
+                    const id = getTriggerId(trigger);
+                    return (
+                        <li key={id} className="alert-trigger">
+                            <span>{describeTrigger(trigger)}</span>
+                            {triggers.length > 1 && (
+                                <button type="button" className="alert-remove" onClick={() => removeTrigger(id)} aria-label="Remove trigger">
+                                    ✕
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <div className="alert-form">
+                <select value={draft.minQuality} onChange={event => setDraft({ ...draft, minQuality: event.target.value })}>
+                    {ALERT_LEVELS.map(level => (
+                        <option key={level} value={level}>{level} or better</option>
+                    ))}
+                </select>
+                <select value={draft.wind} onChange={event => setDraft({ ...draft, wind: event.target.value })}>
+                    {Object.entries(WIND_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <select value={draft.tide} onChange={event => setDraft({ ...draft, tide: event.target.value })}>
+                    {Object.entries(TIDE_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <label className="alert-daylight">
+                    <input
+                        type="checkbox"
+                        checked={draft.daylightOnly}
+                        onChange={event => setDraft({ ...draft, daylightOnly: event.target.checked })}
+                    />
+                    Daylight only
+                </label>
+                <button type="button" className="btn btn-secondary" onClick={addTrigger} disabled={triggers.length >= 5}>
+                    + Add trigger
+                </button>
+            </div>
+
+            <div className="alert-actions">
+                <motion.button
+                    type="button"
+                    className="btn"
+                    onClick={subscribe}
+                    disabled={busy || triggers.length === 0}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                >
+                    {subscribed ? '💾 Save alerts' : '🔔 Turn on alerts'}
+                </motion.button>
+                {subscribed && (
+                    <button type="button" className="btn btn-secondary" onClick={unsubscribe} disabled={busy}>
+                        🔕 Turn off
+                    </button>
+                )}
+            </div>
+
+            {message && <p className="alert-message">{message}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,251 @@
+import React, { useMemo, memo } from 'react';
+import { motion } from 'framer-motion';
+import dynamic from 'next/dynamic';
+
+// Dynamically import ReactECharts to avoid SSR issues and improve performance
+const ReactECharts = dynamic(() => import('echarts-for-react'), {
+    ssr: false,
+    loading: () => <div className="chart-loading">📊 Loading Swell History...</div>
+});
+
+const BuoyHistoryChart = memo(function BuoyHistoryChart({ historyData, loading }) {
+    const series = historyData?.series;
+
+    // Pre-compute [time, value] pairs for the time axis
+    const chartData = useMemo(() => {
+        if (!series || series.length === 0) return null;
+
+        return {
+            height: series.map(point => [point.timestamp, point.Hs]),
+            period: series.map(point => [point.timestamp, point.Tp]),
+            byTime: Object.fromEntries(series.map(point => [point.timestamp, point])),
+        };
+    }, [series]);
+
+    // Compare the latest reading with one ~6 hours earlier to show the trend
+    const trend = useMemo(() => {
+        if (!series || series.length < 2) return null;
+
+        const latest = series[series.length - 1];
+        const sixHoursAgo = new Date(latest.timestamp).getTime() - 6 * 60 * 60 * 1000;
+        const earlier = series.find(point => new Date(point.timestamp).getTime() >= sixHoursAgo) || series[0];
+        const change = latest.Hs - earlier.Hs;
+
+        if (change > 0.5) return { label: 'Building', icon: '📈', change };
+        if (change < -0.5) return { label: 'Fading', icon: '📉', change };
+        return { label: 'Holding steady', icon: '➡️', change };
+    }, [series]);
+
+    const chartOptions = useMemo(() => ({
+        backgroundColor: 'transparent',
+        animation: true,
+        animationDuration: 1000,
+        animationEasing: 'cubicOut',
+        grid: {
+            left: '10%',
+            right: '10%',
+            top: '15%',
+            bottom: '20%',
+            backgroundColor: 'rgba(0, 20, 40, 0.3)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+        },
+        legend: {
+            data: ['Height', 'Period'],
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+        },
+        xAxis: {
+            type: 'time',
+            axisLine: {
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#00ffff',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: {
+                show: true,
+                lineStyle: {
+                    color: 'rgba(0, 255, 255, 0.1)',
+                    type: 'dashed',
+                }
+            }
+        },
+        yAxis: [
+            {
+                type: 'value',
+                name: 'Height (ft)',
+                nameTextStyle: {
+                    color: '#00ffff',
+                    fontSize: 12,
+                    fontFamily: 'Orbitron, monospace',
+                },
+                axisLine: {
+                    lineStyle: {
+                        color: '#00ffff',
+                        width: 2,
+                    }
+                },
+                axisLabel: {
+                    color: '#00ffff',
+                    fontSize: 10,
+                    fontFamily: 'Orbitron, monospace',
+                    fontWeight: 'bold',
+                },
+                splitLine: {
+                    lineStyle: {
+                        color: 'rgba(0, 255, 255, 0.1)',
+                        type: 'dashed',
+                    }
+                }
+            },
+            {
+                type: 'value',
+                name: 'Period (s)',
+                nameTextStyle: {
+                    color: '#ff7043',
+                    fontSize: 12,
+                    fontFamily: 'Orbitron, monospace',
+                },
+                axisLine: {
+                    lineStyle: {
+                        color: '#ff7043',
+                        width: 2,
+                    }
+                },
+                axisLabel: {
+                    color: '#ff7043',
+                    fontSize: 10,
+                    fontFamily: 'Orbitron, monospace',
+                    fontWeight: 'bold',
+                },
+                splitLine: { show: false }
+            }
+        ],
+        series: [
+            {
+                name: 'Height',
+                type: 'line',
+                data: chartData?.height || [],
+                showSymbol: false,
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 3,
+                    shadowColor: '#00ffff',
+                    shadowBlur: 10,
+                },
+                itemStyle: {
+                    color: '#00bcd4',
+                },
+                areaStyle: {
+                    color: {
+                        type: 'linear',
+                        x: 0,
+                        y: 0,
+                        x2: 0,
+                        y2: 1,
+                        colorStops: [{
+                            offset: 0,
+                            color: 'rgba(0, 188, 212, 0.4)'
+                        }, {
+                            offset: 1,
+                            color: 'rgba(0, 188, 212, 0.05)'
+                        }]
+                    }
+                },
+            },
+            {
+                name: 'Period',
+                type: 'line',
+                yAxisIndex: 1,
+                data: chartData?.period || [],
+                showSymbol: false,
+                lineStyle: {
+                    color: '#ff7043',
+                    width: 2,
+                    type: 'dashed',
+                },
+                itemStyle: {
+                    color: '#ff7043',
+                },
+            }
+        ],
+        tooltip: {
+            trigger: 'axis',
+            backgroundColor: 'rgba(0, 20, 40, 0.9)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+            formatter: (params) => {
+                const point = chartData?.byTime[params[0]?.value?.[0]];
+                if (!point) return '';
+                const time = new Date(point.timestamp).toLocaleString('en-US', {
+                    weekday: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+                return `
+                    <div style="font-family: Orbitron, monospace; font-weight: bold;">
+                        ⏰ ${time}<br/>
+                        🌊 Height: ${point.Hs.toFixed(1)} ft<br/>
+                        ⏱️ Period: ${point.Tp ?? 'N/A'} s<br/>
+                        🧭 Direction: ${point.Dp ?? 'N/A'}°
+                    </div>
+                `;
+            }
+        }
+    }), [chartData]);
+
+    if (loading) {
+        return <div className="chart-loading">📊 Loading Swell History...</div>;
+    }
+
+    if (!chartData) {
+        return (
+            <div className="tide-error">
+                <div className="error-icon">📊</div>
+                <p>Buoy history currently unavailable</p>
+                <p className="error-subtext">Check back in a few minutes</p>
+            </div>
+        );
+    }
+
+    return (
+        <motion.div
+            className="tide-graph-container"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+        >
+            <h3 className="tide-graph-title">📈 Last {historyData.hours} Hours 📈</h3>
+            {trend && (
+                <p className="swell-trend">
+                    {trend.icon} {trend.label} ({trend.change >= 0 ? '+' : ''}{trend.change.toFixed(1)}ft over 6h)
+                </p>
+            )}
+            <div className="tide-graph">
+                <ReactECharts
+                    option={chartOptions}
+                    style={{ height: '400px', width: '100%' }}
+                    theme="dark"
+                    lazyUpdate={true}
+                    notMerge={false}
+                    opts={{ renderer: 'canvas' }}
+                />
+            </div>
+        </motion.div>
+    );
+});
+
+export default BuoyHistoryChart;
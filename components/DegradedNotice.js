@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { formatStationTime } from '../lib/stationTime';
+
+// Flags a last-known-good response the API served because the live source
+// failed. Renders after mount like ObservationAge, as the browser and server
+// can format times differently.
+export default function DegradedNotice({ data }) {
+    const [mounted, setMounted] = useState(false);
+
+    useEffect(() => {
+        setMounted(true);
+    }, []);
+
+    if (!mounted || !data?.degraded) return null;
+
+    return (
+        <span className="degraded-notice" title={data.degradedReason || undefined}>
+            📦 Live feed down - showing data from {formatStationTime(data.asOf)}
+        </span>
+    );
+}
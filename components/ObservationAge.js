@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { getFreshness, formatAge } from '../lib/freshness';
+
+// "measured 47 min ago", recalculated every minute in the browser so cached
+// API responses and server-rendered pages still show the real age. Readings
+// without an observation time are flagged rather than passed off as fresh.
+// Renders nothing until mounted (the server's clock would mismatch on
+// hydration).
+export default function ObservationAge({ timestamp, staleAfterMinutes, label = 'measured' }) {
+    const [now, setNow] = useState(null);
+
+    useEffect(() => {
+        setNow(new Date());
+        const interval = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    if (!now) return null;
+
+    const { ageMinutes, stale } = getFreshness(timestamp, staleAfterMinutes, now);
+
+    if (ageMinutes === null) {
+        return <span className="observation-age stale">⚠️ Age unknown - no observation time</span>;
+    }
+
+    return (
+        <span className={`observation-age ${stale ? 'stale' : ''}`}>
+            {stale ? '⚠️ Stale - ' : ''}{label} {formatAge(ageMinutes)}
+        </span>
+    );
+}
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { formatStationTime } from '../lib/stationTime';
+
+// Oldest moment any of the shown data was fetched. Responses the service
+// worker served from its cache carry `cachedAt` (public/sw.js).
+function getDataTime(readings, fallback) {
+    const times = readings
+        .filter(reading => reading?.offline && reading.cachedAt)
+        .map(reading => new Date(reading.cachedAt).getTime());
+
+    if (times.length > 0) return Math.min(...times);
+    return fallback ? new Date(fallback).getTime() : null;
+}
+
+// Banner across the top of the report when the device is offline or the
+// readings on screen came out of the service worker cache. Renders after
+// mount as the server can't know either.
+export default function OfflineBanner({ readings, generatedAt }) {
+    const [mounted, setMounted] = useState(false);
+    const [online, setOnline] = useState(true);
+
+    useEffect(() => {
+        setMounted(true);
+        setOnline(navigator.onLine);
+
+        const update = () => setOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    const servedFromCache = readings.some(reading => reading?.offline);
+    if (!mounted || (online && !servedFromCache)) return null;
+
+    const dataTime = getDataTime(readings, generatedAt);
+
+    return (
+        <div className="offline-banner" role="status">
+            📴 Offline — {dataTime ? `data from ${formatStationTime(dataTime)}` : 'showing the last report'}
+        </div>
+    );
+}
@@ -0,0 +1,229 @@
+import React, { useMemo, memo } from 'react';
+import { motion } from 'framer-motion';
+import dynamic from 'next/dynamic';
+import { formatStationTime, getStationDay, STATION_TIME_ZONE } from '../lib/stationTime';
+
+// Dynamically import ReactECharts to avoid SSR issues and improve performance
+const ReactECharts = dynamic(() => import('echarts-for-react'), {
+    ssr: false,
+    loading: () => <div className="chart-loading">🏄 Loading Session Planner...</div>
+});
+
+const QUALITY_COLORS = {
+    firing: '#ff1744',
+    epic: '#ff9100',
+    good: '#00e676',
+    fair: '#ffee58',
+    poor: '#ff7043',
+    terrible: '#78909c',
+};
+
+// "Today", "Tomorrow" or "Wed" relative to the station-local day
+const formatDayLabel = (iso) => {
+    const day = getStationDay(new Date(iso));
+    const today = getStationDay();
+    const tomorrow = getStationDay(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    if (day === today) return 'Today';
+    if (day === tomorrow) return 'Tomorrow';
+    return new Date(iso).toLocaleDateString('en-US', { weekday: 'short', timeZone: STATION_TIME_ZONE });
+};
+
+// "Tomorrow 6:40–9:15 AM"
+const formatWindow = (window) => {
+    const start = formatStationTime(window.start);
+    const end = formatStationTime(window.end);
+    const sameHalf = start.slice(-2) === end.slice(-2);
+    return `${formatDayLabel(window.start)} ${sameHalf ? start.slice(0, -3) : start}–${end}`;
+};
+
+const SessionPlanner = memo(function SessionPlanner({ plannerData, loading }) {
+    const hours = plannerData?.hours;
+    const windows = plannerData?.windows;
+
+    // Dark hours, grouped for shading
+    const nightAreas = useMemo(() => {
+        if (!hours) return [];
+
+        const areas = [];
+        let current = null;
+        hours.forEach((hour, i) => {
+            if (!hour.light) {
+                if (!current) current = { start: hour.time, end: hour.time };
+                current.end = hours[i + 1]?.time || hour.time;
+            } else if (current) {
+                areas.push(current);
+                current = null;
+            }
+        });
+        if (current) areas.push(current);
+        return areas;
+    }, [hours]);
+
+    const chartOptions = useMemo(() => ({
+        backgroundColor: 'transparent',
+        animation: true,
+        animationDuration: 1000,
+        animationEasing: 'cubicOut',
+        grid: {
+            left: '10%',
+            right: '5%',
+            top: '10%',
+            bottom: '20%',
+            backgroundColor: 'rgba(0, 20, 40, 0.3)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+        },
+        xAxis: {
+            type: 'time',
+            axisLine: {
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#00ffff',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: { show: false }
+        },
+        yAxis: {
+            type: 'value',
+            name: 'Score',
+            min: 0,
+            max: 5,
+            nameTextStyle: {
+                color: '#00ffff',
+                fontSize: 12,
+                fontFamily: 'Orbitron, monospace',
+            },
+            axisLine: {
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#00ffff',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: {
+                lineStyle: {
+                    color: 'rgba(0, 255, 255, 0.1)',
+                    type: 'dashed',
+                }
+            }
+        },
+        series: [
+            {
+                name: 'Score',
+                type: 'bar',
+                barWidth: '70%',
+                data: (hours || []).map(hour => ({
+                    value: [hour.time, hour.score],
+                    itemStyle: {
+                        color: QUALITY_COLORS[hour.quality] || '#00ffff',
+                        opacity: hour.light ? 0.9 : 0.35,
+                    },
+                })),
+                markArea: {
+                    silent: true,
+                    data: [
+                        ...nightAreas.map(area => [
+                            { xAxis: area.start, itemStyle: { color: 'rgba(0, 0, 30, 0.45)' } },
+                            { xAxis: area.end },
+                        ]),
+                        ...(windows || []).map(window => [
+                            { xAxis: window.start, itemStyle: { color: 'rgba(0, 230, 118, 0.15)' } },
+                            { xAxis: window.end },
+                        ]),
+                    ],
+                },
+            },
+        ],
+        tooltip: {
+            trigger: 'axis',
+            backgroundColor: 'rgba(0, 20, 40, 0.9)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+            formatter: (params) => {
+                const hour = hours?.[params[0]?.dataIndex];
+                if (!hour) return '';
+                return `
+                    <div style="font-family: Orbitron, monospace; font-weight: bold;">
+                        ⏰ ${formatDayLabel(hour.time)} ${formatStationTime(hour.time)}<br/>
+                        ${hour.emoji} ${hour.quality.toUpperCase()} (${hour.score.toFixed(1)}/5)<br/>
+                        💨 ${hour.wind.speed} kts ${hour.wind.directionText} (${hour.wind.description})<br/>
+                        🌊 ${hour.swell.height}ft @ ${hour.swell.period}s<br/>
+                        🌙 Tide ${hour.tide.direction}<br/>
+                        ${hour.light ? '' : '🌑 Dark'}
+                    </div>
+                `;
+            }
+        }
+    }), [hours, windows, nightAreas]);
+
+    if (loading) {
+        return <div className="chart-loading">🏄 Loading Session Planner...</div>;
+    }
+
+    if (!hours || hours.length === 0) {
+        return (
+            <div className="tide-error">
+                <div className="error-icon">🏄</div>
+                <p>Session planner currently unavailable</p>
+                <p className="error-subtext">Check back in a few minutes</p>
+            </div>
+        );
+    }
+
+    return (
+        <motion.div
+            className="tide-graph-container"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+        >
+            <h3 className="tide-graph-title">🏄 Best Time to Surf 🏄</h3>
+            {windows?.length > 0 ? (
+                <ul className="planner-windows">
+                    {windows.map(window => (
+                        <li key={window.start} className={`planner-window ${window.quality}`}>
+                            <span className="planner-window-time">{window.emoji} {formatWindow(window)}</span>
+                            <span className="planner-window-detail">
+                                {window.label} ({window.swell})
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="swell-trend">😴 No surfable windows in the next 48 hours</p>
+            )}
+            <div className="tide-graph">
+                <ReactECharts
+                    option={chartOptions}
+                    style={{ height: '350px', width: '100%' }}
+                    theme="dark"
+                    lazyUpdate={true}
+                    notMerge={false}
+                    opts={{ renderer: 'canvas' }}
+                />
+            </div>
+            <p className="data-source">
+                Hourly scores from the NWS wind forecast, NOAA tides and {plannerData.sources?.swell || 'buoy'} swell
+                {plannerData.sources?.incoming?.length > 0 ? ` plus incoming swell from ${plannerData.sources.incoming.join(', ')}` : ''}
+            </p>
+        </motion.div>
+    );
+});
+
+export default SessionPlanner;
@@ -0,0 +1,19 @@
+import Link from 'next/link';
+import { SPOTS, DEFAULT_SPOT } from '../lib/spots';
+
+// Links between spot pages; the default spot lives at the home page
+export default function SpotNav({ currentSlug = DEFAULT_SPOT }) {
+    return (
+        <nav className="spot-nav" aria-label="Surf spots">
+            {Object.values(SPOTS).map(spot => (
+                <Link
+                    key={spot.slug}
+                    href={spot.slug === DEFAULT_SPOT ? '/' : `/spots/${spot.slug}`}
+                    className={`spot-nav-link ${spot.slug === currentSlug ? 'active' : ''}`}
+                >
+                    {spot.name}
+                </Link>
+            ))}
+        </nav>
+    );
+}
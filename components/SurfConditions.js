@@ -2,65 +2,280 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import TideTable from './TideTable';
 import SurfAISummary from './SurfAISummary';
+import BuoyHistoryChart from './BuoyHistoryChart';
+import WindForecastTimeline from './WindForecastTimeline';
+import SessionPlanner from './SessionPlanner';
+import ObservationAge from './ObservationAge';
+import DegradedNotice from './DegradedNotice';
+import WindSourceBreakdown from './WindSourceBreakdown';
+import AlertSettings from './AlertSettings';
+import OfflineBanner from './OfflineBanner';
 import Image from 'next/image';
+import { getSpot, DEFAULT_SPOT } from '../lib/spots';
+import { getBuoyStation } from '../lib/buoyStations';
 
-export default function SurfConditions() {
-    const [buoyData, setBuoyData] = useState(null);
-    const [tideData, setTideData] = useState(null);
-    const [windData, setWindData] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [windLoading, setWindLoading] = useState(true);
+// A failed refresh clears a card, unless the device is offline - then the
+// last report (server-rendered or from the service worker cache) stays up
+const keepWhileOffline = (current) => (navigator.onLine ? null : current);
+
+export default function SurfConditions({ spotSlug = DEFAULT_SPOT, initialConditions = null }) {
+    const spot = getSpot(spotSlug);
+    const buoyStation = getBuoyStation(spot.buoy);
+
+    // Server-rendered conditions (when the page has them) show immediately;
+    // the effect below still refreshes everything once hydrated
+    const [buoyData, setBuoyData] = useState(initialConditions?.buoy ?? null);
+    const [ptReyesData, setPtReyesData] = useState(null);
+    const [ptReyesLoading, setPtReyesLoading] = useState(true);
+    const [incomingSwell, setIncomingSwell] = useState(null);
+    const [incomingLoading, setIncomingLoading] = useState(true);
+    const [temperatureData, setTemperatureData] = useState(null);
+    const [temperatureLoading, setTemperatureLoading] = useState(true);
+    const [tideData, setTideData] = useState(initialConditions?.tide ?? null);
+    const [windData, setWindData] = useState(initialConditions?.wind ?? null);
+    const [loading, setLoading] = useState(!initialConditions?.buoy);
+    const [windLoading, setWindLoading] = useState(!initialConditions?.wind);
+    const [buoyHistory, setBuoyHistory] = useState(null);
+    const [buoyHistoryLoading, setBuoyHistoryLoading] = useState(false);
+    const [buoyHistoryRequested, setBuoyHistoryRequested] = useState(false);
+    const [windForecast, setWindForecast] = useState(null);
+    const [windForecastLoading, setWindForecastLoading] = useState(false);
+    const [windForecastRequested, setWindForecastRequested] = useState(false);
+    const [tideCalendar, setTideCalendar] = useState(null);
+    const [tideCalendarLoading, setTideCalendarLoading] = useState(false);
+    const [tideCalendarRequested, setTideCalendarRequested] = useState(false);
+    const [planner, setPlanner] = useState(null);
+    const [plannerLoading, setPlannerLoading] = useState(false);
+    const [plannerRequested, setPlannerRequested] = useState(false);
     const [activeTab, setActiveTab] = useState('nowcast');
     const [magic8Result, setMagic8Result] = useState('');
     const [magic8Loading, setMagic8Loading] = useState(false);
 
     useEffect(() => {
-        fetchBuoyData();
-        fetchTideData();
-        fetchWindData();
-    }, []);
+        fetchBuoyData(spot);
+        fetchPtReyesData();
+        fetchIncomingSwell(spot);
+        fetchTideData(spot);
+        fetchWindData(spot);
+        fetchTemperatureData();
+    }, [spot]);
+
+    // Only load the buoy history once the Buoy tab is opened
+    useEffect(() => {
+        if (activeTab === 'sfbuoy' && !buoyHistoryRequested) {
+            setBuoyHistoryRequested(true);
+            fetchBuoyHistory(spot);
+        }
+    }, [activeTab, buoyHistoryRequested, spot]);
+
+    // Likewise the wind forecast waits for the Winds tab
+    useEffect(() => {
+        if (activeTab === 'winds' && !windForecastRequested) {
+            setWindForecastRequested(true);
+            fetchWindForecast(spot);
+        }
+    }, [activeTab, windForecastRequested, spot]);
+
+    // ...and the week of tides for the calendar waits for the Tides tab
+    useEffect(() => {
+        if (activeTab === 'tides' && !tideCalendarRequested) {
+            setTideCalendarRequested(true);
+            fetchTideCalendar(spot);
+        }
+    }, [activeTab, tideCalendarRequested, spot]);
 
-    const fetchBuoyData = async () => {
+    // The 48-hour planner waits for the Planner tab
+    useEffect(() => {
+        if (activeTab === 'planner' && !plannerRequested) {
+            setPlannerRequested(true);
+            fetchPlanner(spot);
+        }
+    }, [activeTab, plannerRequested, spot]);
+
+    const fetchBuoyData = async (spot) => {
         try {
-            const response = await fetch('/api/buoy');
+            const response = await fetch(`/api/buoy?spot=${spot.slug}`);
             const data = await response.json();
             
             // Check if the response indicates an error (503 or error field)
             if (!response.ok || data.error) {
-                setBuoyData(null);
+                setBuoyData(keepWhileOffline);
             } else {
                 setBuoyData(data);
             }
         } catch (error) {
             console.error('Error fetching buoy data:', error);
-            setBuoyData(null);
+            setBuoyData(keepWhileOffline);
         } finally {
             setLoading(false);
         }
     };
 
-    const fetchTideData = async () => {
+    // Point Reyes (CDIP 029) feeds the ML prediction model
+    const fetchPtReyesData = async () => {
+        try {
+            const response = await fetch('/api/buoy?station=029');
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setPtReyesData(null);
+            } else {
+                setPtReyesData(data);
+            }
+        } catch (error) {
+            console.error('Error fetching Point Reyes buoy data:', error);
+            setPtReyesData(null);
+        } finally {
+            setPtReyesLoading(false);
+        }
+    };
+
+    const fetchIncomingSwell = async (spot) => {
+        try {
+            const response = await fetch(`/api/buoy/incoming?spot=${spot.slug}`);
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setIncomingSwell(null);
+            } else {
+                setIncomingSwell(data);
+            }
+        } catch (error) {
+            console.error('Error fetching incoming swell:', error);
+            setIncomingSwell(null);
+        } finally {
+            setIncomingLoading(false);
+        }
+    };
+
+    const fetchBuoyHistory = async (spot) => {
+        setBuoyHistoryLoading(true);
+        try {
+            const response = await fetch(`/api/buoy/history?station=${spot.buoy}&hours=48`);
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setBuoyHistory(null);
+            } else {
+                setBuoyHistory(data);
+            }
+        } catch (error) {
+            console.error('Error fetching buoy history:', error);
+            setBuoyHistory(null);
+        } finally {
+            setBuoyHistoryLoading(false);
+        }
+    };
+
+    const fetchTideData = async (spot) => {
         try {
-            const response = await fetch('/api/tide');
+            const response = await fetch(`/api/tide?spot=${spot.slug}`);
             const data = await response.json();
-            setTideData(data);
+
+            if (!response.ok || data.error) {
+                setTideData(keepWhileOffline);
+            } else {
+                setTideData(data);
+            }
         } catch (error) {
             console.error('Error fetching tide data:', error);
+            setTideData(keepWhileOffline);
         }
     };
 
-    const fetchWindData = async () => {
+    const fetchTideCalendar = async (spot) => {
+        setTideCalendarLoading(true);
         try {
-            const response = await fetch('/api/wind');
+            const response = await fetch(`/api/tide?days=7&interval=h&spot=${spot.slug}`);
             const data = await response.json();
-            setWindData(data);
+
+            if (!response.ok || data.error) {
+                setTideCalendar(null);
+            } else {
+                setTideCalendar(data);
+            }
+        } catch (error) {
+            console.error('Error fetching tide calendar:', error);
+            setTideCalendar(null);
+        } finally {
+            setTideCalendarLoading(false);
+        }
+    };
+
+    const fetchWindData = async (spot) => {
+        try {
+            const response = await fetch(`/api/wind?spot=${spot.slug}`);
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setWindData(keepWhileOffline);
+            } else {
+                setWindData(data);
+            }
         } catch (error) {
             console.error('Error fetching wind data:', error);
+            setWindData(keepWhileOffline);
         } finally {
             setWindLoading(false);
         }
     };
 
+    const fetchWindForecast = async (spot) => {
+        setWindForecastLoading(true);
+        try {
+            const response = await fetch(`/api/wind/forecast?spot=${spot.slug}`);
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setWindForecast(null);
+            } else {
+                setWindForecast(data);
+            }
+        } catch (error) {
+            console.error('Error fetching wind forecast:', error);
+            setWindForecast(null);
+        } finally {
+            setWindForecastLoading(false);
+        }
+    };
+
+    const fetchPlanner = async (spot) => {
+        setPlannerLoading(true);
+        try {
+            const response = await fetch(`/api/planner?spot=${spot.slug}`);
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setPlanner(null);
+            } else {
+                setPlanner(data);
+            }
+        } catch (error) {
+            console.error('Error fetching session planner:', error);
+            setPlanner(null);
+        } finally {
+            setPlannerLoading(false);
+        }
+    };
+
+    const fetchTemperatureData = async () => {
+        try {
+            const response = await fetch('/api/temperature');
+            const data = await response.json();
+
+            if (!response.ok || data.error) {
+                setTemperatureData(null);
+            } else {
+                setTemperatureData(data);
+            }
+        } catch (error) {
+            console.error('Error fetching temperature data:', error);
+            setTemperatureData(null);
+        } finally {
+            setTemperatureLoading(false);
+        }
+    };
+
     const handleMagic8Ball = async () => {
         setMagic8Loading(true);
 
@@ -89,6 +304,18 @@ export default function SurfConditions() {
         return { emoji: '⚡', status: 'GNARLY!' };
     };
 
+    // Format a propagated swell arrival as "Tue 3:40 PM (in 9h)"
+    const formatArrival = (arrival) => {
+        const arrivalTime = new Date(arrival);
+        const hoursAway = Math.round((arrivalTime - new Date()) / (1000 * 60 * 60));
+        const time = arrivalTime.toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        return hoursAway > 0 ? `${time} (in ${hoursAway}h)` : `${time} (arriving now)`;
+    };
+
     const getWindCondition = (speed) => {
         if (!speed) return { emoji: '❓', status: 'Unknown', color: 'var(--text-color)' };
         if (speed < 5) return { emoji: '😴', status: 'Glassy', color: 'var(--electric-green)' };
@@ -100,9 +327,11 @@ export default function SurfConditions() {
 
     const tabs = [
         { id: 'nowcast', label: 'Nowcast', icon: '🌊' },
+        { id: 'planner', label: 'Planner', icon: '🏄' },
         { id: 'sfbuoy', label: 'Buoy', icon: '📊' },
         { id: 'winds', label: 'Winds', icon: '💨' },
         { id: 'tides', label: 'Tides', icon: '🌙' },
+        { id: 'alerts', label: 'Alerts', icon: '🔔' },
     ];
 
     const containerVariants = {
@@ -137,19 +366,29 @@ export default function SurfConditions() {
         >
             <motion.div className="conditions-header" variants={itemVariants}>
                 <h2>🏄‍♂️ SURF STATUS 🏄‍♂️</h2>
-                <p>Ocean Beach • San Francisco • Real-time data</p>
+                <p>{spot.name} • {spot.area} • Real-time data</p>
             </motion.div>
 
+            <OfflineBanner
+                readings={[buoyData, windData, tideData, temperatureData]}
+                generatedAt={initialConditions?.generatedAt}
+            />
+
             <SurfAISummary 
                 buoyData={buoyData} 
+                ptReyesData={ptReyesData}
                 windData={windData} 
                 tideData={tideData}
+                temperatureData={temperatureData}
                 loading={loading || windLoading} 
+                ptReyesLoading={ptReyesLoading}
+                spot={spot}
+                initialAnalysis={initialConditions?.analysis ?? null}
             />
 
             <motion.div className="conditions-summary" variants={itemVariants}>
                 <motion.div className="condition-item" whileHover={{ scale: 1.05 }}>
-                    <h3>🌊 SF Buoy</h3>
+                    <h3>🌊 {buoyStation.name} Buoy</h3>
                     {loading ? (
                         <div className="loading-container">
                             <div className="loading-bar">
@@ -169,6 +408,25 @@ export default function SurfConditions() {
                                 <div className="wave-quality">
                                     {getWaveQuality(buoyData.Hs).emoji} {getWaveQuality(buoyData.Hs).status}
                                 </div>
+                                {buoyData.swells?.length > 0 && (
+                                    <div className="swell-components">
+                                        {buoyData.swells.slice(0, 2).map((swell, index) => (
+                                            <div key={index} className="swell-component">
+                                                {index === 0 ? 'Primary' : 'Secondary'}: {swell.height}ft @ {swell.period}s {swell.directionText}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                {buoyData.groupiness && (
+                                    <div className="swell-groupiness">
+                                        Sets: {buoyData.groupiness.description}
+                                    </div>
+                                )}
+                                <ObservationAge
+                                    timestamp={buoyData.timestamp}
+                                    staleAfterMinutes={buoyData.staleAfterMinutes}
+                                />
+                                <DegradedNotice data={buoyData} />
                             </div>
                         </>
                     ) : (
@@ -180,6 +438,47 @@ export default function SurfConditions() {
                     )}
                 </motion.div>
 
+                <motion.div className="condition-item" whileHover={{ scale: 1.05 }}>
+                    <h3>🌀 Incoming Swell</h3>
+                    {incomingLoading ? (
+                        <div className="loading-container">
+                            <div className="loading-bar">
+                                <div className="loading-indicator"></div>
+                            </div>
+                            <p>Loading offshore buoys...</p>
+                        </div>
+                    ) : incomingSwell?.arrivals?.length > 0 ? (
+                        <div className="wave-data">
+                            <div className="wave-height">
+                                {incomingSwell.arrivals[0].estimatedHeight.toFixed(1)}ft
+                            </div>
+                            <div className="wave-details">
+                                @ {incomingSwell.arrivals[0].period}s • {incomingSwell.arrivals[0].directionText}
+                            </div>
+                            <div className="wave-quality">
+                                ⏱️ {formatArrival(incomingSwell.arrivals[0].arrival)}
+                            </div>
+                            <div className="swell-components">
+                                {incomingSwell.arrivals.map((arrival) => (
+                                    <div key={arrival.buoy} className="swell-component">
+                                        {arrival.buoyName} ({arrival.buoy}): {arrival.height}ft @ {arrival.period}s, {arrival.distanceKm}km out
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ) : incomingSwell ? (
+                        <div className="wave-data">
+                            <div className="wave-height">—</div>
+                            <div className="wave-quality">😴 No swell heading our way</div>
+                        </div>
+                    ) : (
+                        <div className="wave-data">
+                            <div className="wave-height">N/A</div>
+                            <div className="wave-quality">⚠️ Offshore Buoys Unavailable</div>
+                        </div>
+                    )}
+                </motion.div>
+
                 <motion.div className="condition-item" whileHover={{ scale: 1.05 }}>
                     <h3>💨 Wind</h3>
                     {windLoading ? (
@@ -208,9 +507,20 @@ export default function SurfConditions() {
                             }}>
                                 {windData.direction}° • {windData.directionText}
                             </div>
+                            {windData.gust > windData.speed && (
+                                <div className="wind-gust">
+                                    Gusting {windData.gust} kts
+                                </div>
+                            )}
                             <div className="wind-quality">
                                 {getWindCondition(windData.speed).emoji} {getWindCondition(windData.speed).status}
                             </div>
+                            <ObservationAge
+                                timestamp={windData.timestamp}
+                                staleAfterMinutes={windData.staleAfterMinutes}
+                            />
+                            <DegradedNotice data={windData} />
+                            <WindSourceBreakdown windData={windData} />
                         </div>
                     ) : (
                         <div className="error-state">
@@ -220,6 +530,42 @@ export default function SurfConditions() {
                     )}
                 </motion.div>
 
+                <motion.div className="condition-item" whileHover={{ scale: 1.05 }}>
+                    <h3>🌡️ Water Temp</h3>
+                    {temperatureLoading ? (
+                        <div className="loading-container">
+                            <div className="loading-bar">
+                                <div className="loading-indicator"></div>
+                            </div>
+                            <p>Loading water temperature...</p>
+                        </div>
+                    ) : temperatureData ? (
+                        <div className="wave-data">
+                            <div className="wave-height">
+                                {Math.round(temperatureData.waterTemp)}°F
+                            </div>
+                            <div className="wave-details">
+                                Air {temperatureData.airTemp !== null ? `${Math.round(temperatureData.airTemp)}°F` : 'N/A'}
+                            </div>
+                            {temperatureData.wetsuit && (
+                                <div className="wave-quality">
+                                    {temperatureData.wetsuit.emoji} {temperatureData.wetsuit.text}
+                                </div>
+                            )}
+                            <ObservationAge
+                                timestamp={temperatureData.timestamp}
+                                staleAfterMinutes={temperatureData.staleAfterMinutes}
+                            />
+                            <DegradedNotice data={temperatureData} />
+                        </div>
+                    ) : (
+                        <div className="wave-data">
+                            <div className="wave-height">N/A</div>
+                            <div className="wave-quality">⚠️ Data Unavailable</div>
+                        </div>
+                    )}
+                </motion.div>
+
                 <motion.div className="condition-item" whileHover={{ scale: 1.05 }}>
                     <h3>🎱 Go Surf?</h3>
                     <AnimatePresence mode="wait">
@@ -319,41 +665,71 @@ export default function SurfConditions() {
                             </div>
                         )}
 
+                        {activeTab === 'planner' && (
+                            <div className="tab-panel">
+                                <h3>🏄 Session Planner</h3>
+                                <p>Hour-by-hour surf scores for the next 48 hours</p>
+                                <SessionPlanner
+                                    plannerData={planner}
+                                    loading={plannerLoading}
+                                />
+                            </div>
+                        )}
+
                         {activeTab === 'sfbuoy' && (
                             <div className="tab-panel">
-                                <h3>📊 SF Bar Buoy Data</h3>
+                                <h3>📊 {buoyStation.name} Buoy Data</h3>
                                 <p>Real-time measurements from the offshore buoy</p>
-                                <div className="image-container">
-                                    <Image
-                                        src="http://cdip.ucsd.edu/themes/media/images/plots/buoy_ww3.gd?stn=142&stream=p1&pub=public&tz=PDT&units=english"
-                                        alt="Latest Data from CDIP"
-                                        width={600}
-                                        height={400}
-                                        className="responsive-image"
-                                    />
-                                </div>
-                                <p className="data-source">
-                                    Data courtesy of{' '}
-                                    <a
-                                        href="http://cdip.ucsd.edu/m/products/?stn=142p1&tz=PDT"
-                                        target="_blank"
-                                        rel="noopener"
-                                    >
-                                        CDIP Station 142
-                                    </a>
-                                </p>
+                                {buoyStation.provider === 'CDIP' ? (
+                                    <>
+                                        <div className="image-container">
+                                            <Image
+                                                src={`http://cdip.ucsd.edu/themes/media/images/plots/buoy_ww3.gd?stn=${buoyStation.id}&stream=p1&pub=public&tz=PDT&units=english`}
+                                                alt="Latest Data from CDIP"
+                                                width={600}
+                                                height={400}
+                                                className="responsive-image"
+                                            />
+                                        </div>
+                                        <p className="data-source">
+                                            Data courtesy of{' '}
+                                            <a
+                                                href={`http://cdip.ucsd.edu/m/products/?stn=${buoyStation.id}p1&tz=PDT`}
+                                                target="_blank"
+                                                rel="noopener"
+                                            >
+                                                CDIP Station {buoyStation.id}
+                                            </a>
+                                        </p>
+                                    </>
+                                ) : (
+                                    <p className="data-source">
+                                        Data courtesy of{' '}
+                                        <a
+                                            href={`https://www.ndbc.noaa.gov/station_page.php?station=${buoyStation.ndbcId}`}
+                                            target="_blank"
+                                            rel="noopener"
+                                        >
+                                            NDBC Station {buoyStation.ndbcId}
+                                        </a>
+                                    </p>
+                                )}
+                                <BuoyHistoryChart
+                                    historyData={buoyHistory}
+                                    loading={buoyHistoryLoading}
+                                />
                             </div>
                         )}
 
                         {activeTab === 'winds' && (
                             <div className="tab-panel">
                                 <h3>💨 Local Wind Conditions</h3>
-                                <p>Real-time wind data for Ocean Beach</p>
+                                <p>Real-time wind data for {spot.name}</p>
                                 <div className="wind-widget">
                                     <iframe
                                         width="100%"
                                         height="500"
-                                        src="https://embed.windy.com/embed2.html?lat=37.748&lon=-122.513&detailLat=37.748&detailLon=-122.513&width=600&height=500&zoom=11&level=surface&overlay=wind&product=ecmwf&menu=&message=&marker=true&calendar=now&pressure=&type=map&location=coordinates&detail=&metricWind=kt&metricTemp=%C2%B0F&radarRange=-1"
+                                        src={`https://embed.windy.com/embed2.html?lat=${spot.lat}&lon=${spot.lon}&detailLat=${spot.lat}&detailLon=${spot.lon}&width=600&height=500&zoom=11&level=surface&overlay=wind&product=ecmwf&menu=&message=&marker=true&calendar=now&pressure=&type=map&location=coordinates&detail=&metricWind=kt&metricTemp=%C2%B0F&radarRange=-1`}
                                         frameBorder="0"
                                         title="Local Wind Conditions"
                                     />
@@ -361,21 +737,38 @@ export default function SurfConditions() {
                                 <p className="data-source">
                                     Data courtesy of{' '}
                                     <a
-                                        href="https://www.windy.com/?37.748,-122.513,11"
+                                        href={`https://www.windy.com/?${spot.lat},${spot.lon},11`}
                                         target="_blank"
                                         rel="noopener"
                                     >
                                         Windy.com
                                     </a>
                                 </p>
+                                <WindForecastTimeline
+                                    forecastData={windForecast}
+                                    loading={windForecastLoading}
+                                    spot={spot}
+                                />
                             </div>
                         )}
 
                         {activeTab === 'tides' && (
                             <div className="tab-panel">
                                 <h3>🌙 Today&apos;s Tide Schedule</h3>
-                                <p>High and low tide predictions for Ocean Beach</p>
-                                <TideTable tideData={tideData} />
+                                <p>High and low tide predictions for {spot.name}</p>
+                                <TideTable
+                                    tideData={tideData}
+                                    calendarData={tideCalendar}
+                                    calendarLoading={tideCalendarLoading}
+                                />
+                            </div>
+                        )}
+
+                        {activeTab === 'alerts' && (
+                            <div className="tab-panel">
+                                <h3>🔔 Surf Alerts</h3>
+                                <p>Get a push notification when {spot.name} turns on</p>
+                                <AlertSettings spot={spot} />
                             </div>
                         )}
                     </motion.div>
@@ -0,0 +1,137 @@
+import React, { useMemo, useState, memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { findDroppingWindow } from '../lib/tides';
+import { formatStationTime } from '../lib/stationTime';
+import { getSunTimes } from '../lib/solar';
+
+// "2026-10-19" -> "Mon, Oct 19"
+const formatDay = (day) => new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+});
+
+// "2026-10-19 06:15" -> "6:15 AM"
+const formatStationClock = (t) => {
+    const [hour, minute] = t.split(' ')[1].split(':').map(Number);
+    const suffix = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${suffix}`;
+};
+
+const TideCalendar = memo(function TideCalendar({ calendarData, loading }) {
+    const [dayIndex, setDayIndex] = useState(0);
+
+    // Group the high/low predictions by station-local day, each with its best window
+    const days = useMemo(() => {
+        if (!calendarData?.predictions) return [];
+
+        const byDay = {};
+        calendarData.predictions.forEach(prediction => {
+            const day = prediction.t.split(' ')[0];
+            (byDay[day] = byDay[day] || []).push(prediction);
+        });
+
+        return Object.keys(byDay).sort().map(day => {
+            const sun = calendarData.sun?.find(times => times.date === day) || getSunTimes(day);
+            return {
+                day,
+                sun,
+                tides: byDay[day],
+                bestWindow: findDroppingWindow(calendarData.predictions, day, sun)
+            };
+        });
+    }, [calendarData]);
+
+    if (loading) {
+        return <div className="chart-loading">📅 Loading Tide Calendar...</div>;
+    }
+
+    if (days.length === 0) {
+        return null;
+    }
+
+    const selected = days[Math.min(dayIndex, days.length - 1)];
+
+    return (
+        <motion.div
+            className="tide-table-container tide-calendar"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.8 }}
+        >
+            <h3 className="tide-table-title">📅 {days.length}-Day Tide Calendar</h3>
+            <div className="tide-calendar-nav">
+                <button
+                    className="tide-calendar-button"
+                    onClick={() => setDayIndex(i => Math.max(0, i - 1))}
+                    disabled={dayIndex === 0}
+                    aria-label="Previous day"
+                >
+                    ◀
+                </button>
+                <div className="tide-calendar-day">{formatDay(selected.day)}</div>
+                <button
+                    className="tide-calendar-button"
+                    onClick={() => setDayIndex(i => Math.min(days.length - 1, i + 1))}
+                    disabled={dayIndex >= days.length - 1}
+                    aria-label="Next day"
+                >
+                    ▶
+                </button>
+            </div>
+
+            <AnimatePresence mode="wait">
+                <motion.div
+                    key={selected.day}
+                    initial={{ opacity: 0, x: 20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: -20 }}
+                    transition={{ duration: 0.2 }}
+                >
+                    <div className={`tide-calendar-window ${selected.bestWindow ? 'has-window' : ''}`}>
+                        {selected.bestWindow ? (
+                            <>
+                                🏄 Best window: {formatStationTime(selected.bestWindow.start)} – {formatStationTime(selected.bestWindow.end)}
+                                <span className="tide-calendar-window-detail">
+                                    {' '}(dropping {selected.bestWindow.high.toFixed(1)} → {selected.bestWindow.low.toFixed(1)} ft)
+                                </span>
+                            </>
+                        ) : (
+                            <>😴 No dropping tide during daylight</>
+                        )}
+                    </div>
+                    <div className="tide-calendar-sun">
+                        🌅 {formatStationTime(selected.sun.sunrise)} • 🌇 {formatStationTime(selected.sun.sunset)}
+                        <span className="tide-calendar-window-detail">
+                            {' '}(first light {formatStationTime(selected.sun.civilDawn)}, last light {formatStationTime(selected.sun.civilDusk)})
+                        </span>
+                    </div>
+                    <div className="tide-table-body">
+                        {selected.tides.map((prediction) => {
+                            const isHigh = prediction.type === 'H';
+                            return (
+                                <div key={prediction.t} className={`tide-row ${isHigh ? 'high-tide' : 'low-tide'}`}>
+                                    <div className="tide-cell time-cell">
+                                        <div className="time-main">{formatStationClock(prediction.t)}</div>
+                                    </div>
+                                    <div className="tide-cell height-cell">
+                                        <div className="height-value">{prediction.v}</div>
+                                        <div className="height-unit">feet</div>
+                                    </div>
+                                    <div className="tide-cell type-cell">
+                                        <div className="tide-type">
+                                            {isHigh ? '⬆️ High Tide' : '⬇️ Low Tide'}
+                                        </div>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </motion.div>
+            </AnimatePresence>
+        </motion.div>
+    );
+});
+
+export default TideCalendar;
@@ -1,6 +1,11 @@
 import React, { useMemo, memo } from 'react';
 import { motion } from 'framer-motion';
 import dynamic from 'next/dynamic';
+import { interpolateTide } from '../lib/tides';
+import { parseStationTime } from '../lib/stationTime';
+import TideCalendar from './TideCalendar';
+import ObservationAge from './ObservationAge';
+import DegradedNotice from './DegradedNotice';
 
 // Dynamically import ReactECharts to avoid SSR issues and improve performance
 const ReactECharts = dynamic(() => import('echarts-for-react'), { 
@@ -8,7 +13,7 @@ const ReactECharts = dynamic(() => import('echarts-for-react'), {
     loading: () => <div className="chart-loading">📊 Loading Epic Tide Matrix...</div>
 });
 
-const TideTable = memo(function TideTable({ tideData }) {
+const TideTable = memo(function TideTable({ tideData, calendarData, calendarLoading }) {
     const getTideIcon = (type) => {
         return type === 'H' ? '⬆️' : '⬇️';
     };
@@ -21,55 +26,70 @@ const TideTable = memo(function TideTable({ tideData }) {
         return type === 'H' ? '#00bcd4' : '#ff7043';
     };
 
-    // Create tide graph data for eCharts - optimized for performance
+    // High/low points on a real time axis - optimized for performance
     const tideGraphData = useMemo(() => {
         if (!tideData?.predictions) return null;
         
-        const predictions = tideData.predictions.slice(0, 8); // Show 8 data points
-        
-        return predictions.map((prediction) => {
+        return tideData.predictions.map((prediction) => {
             const time = prediction.t.split(' ')[1]; // Extract time part
             
             return {
                 ...prediction,
                 time,
                 value: parseFloat(prediction.v), // Pre-parse for performance
-                fullDateTime: new Date(prediction.t.replace(' ', 'T')), // For current time comparison
+                timestamp: parseStationTime(prediction.t).getTime(),
             };
         });
     }, [tideData]);
 
-    // Find current time position for vertical line
+    // NOAA's 6-minute (or hourly) prediction curve, when available. Without it
+    // we fall back to a smoothed line through the highs and lows.
+    const tideCurveData = useMemo(() => {
+        if (!tideData?.curve?.length) return null;
+        return tideData.curve.map(point => [parseStationTime(point.t).getTime(), parseFloat(point.v)]);
+    }, [tideData]);
+
+    // Measured water level and its residual against the prediction
+    const observedData = useMemo(() => {
+        if (!tideData?.observed?.length) return null;
+        return {
+            observed: tideData.observed.map(point => [parseStationTime(point.t).getTime(), point.observed]),
+            residual: tideData.observed.map(point => [parseStationTime(point.t).getTime(), point.residual]),
+        };
+    }, [tideData]);
+
+    // Night (civil dusk to the next civil dawn) for shading, clipped to the data
+    const nightAreas = useMemo(() => {
+        const sun = tideData?.sun;
+        if (!sun?.length || !tideGraphData?.length) return [];
+
+        const first = tideCurveData?.[0]?.[0] ?? tideGraphData[0].timestamp;
+        const last = tideCurveData?.[tideCurveData.length - 1]?.[0] ?? tideGraphData[tideGraphData.length - 1].timestamp;
+
+        const areas = [[first, new Date(sun[0].civilDawn).getTime()]];
+        sun.forEach((day, i) => {
+            const nextDawn = sun[i + 1] ? new Date(sun[i + 1].civilDawn).getTime() : last;
+            areas.push([new Date(day.civilDusk).getTime(), nextDawn]);
+        });
+
+        return areas
+            .map(([start, end]) => [Math.max(start, first), Math.min(end, last)])
+            .filter(([start, end]) => end > start);
+    }, [tideData, tideGraphData, tideCurveData]);
+
+    // Current height and trend, interpolated from the curve at this moment
     const currentTimeData = useMemo(() => {
-        if (!tideGraphData) return null;
-        
         const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTimeDecimal = currentHour + currentMinute / 60;
-        
-        // Find the position between tide points where current time falls
-        let currentTimeIndex = -1;
-        for (let i = 0; i < tideGraphData.length - 1; i++) {
-            const currentPoint = tideGraphData[i];
-            const nextPoint = tideGraphData[i + 1];
-            
-            const currentPointTime = currentPoint.fullDateTime.getHours() + currentPoint.fullDateTime.getMinutes() / 60;
-            const nextPointTime = nextPoint.fullDateTime.getHours() + nextPoint.fullDateTime.getMinutes() / 60;
-            
-            if (currentTimeDecimal >= currentPointTime && currentTimeDecimal <= nextPointTime) {
-                // Interpolate position between the two points
-                const ratio = (currentTimeDecimal - currentPointTime) / (nextPointTime - currentPointTime);
-                currentTimeIndex = i + ratio;
-                break;
-            }
-        }
+        const current = interpolateTide(tideData?.curve, now);
         
         return {
-            index: currentTimeIndex,
-            time: now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+            timestamp: now.getTime(),
+            time: now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+            height: current?.height ?? null,
+            rate: current?.rate ?? null,
+            direction: current?.direction ?? null
         };
-    }, [tideGraphData]);
+    }, [tideData]);
 
     // Memoize chart options for performance
     const chartOptions = useMemo(() => ({
@@ -87,8 +107,9 @@ const TideTable = memo(function TideTable({ tideData }) {
             borderWidth: 1,
         },
         xAxis: {
-            type: 'category',
-            data: tideGraphData?.map(point => point.time) || [],
+            type: 'time',
+            min: tideCurveData?.[0]?.[0],
+            max: tideCurveData?.[tideCurveData.length - 1]?.[0],
             axisLine: {
                 lineStyle: {
                     color: '#00ffff',
@@ -109,7 +130,14 @@ const TideTable = memo(function TideTable({ tideData }) {
                 }
             }
         },
-        yAxis: {
+        legend: observedData ? {
+            data: ['Tide', 'Observed', 'Surge'],
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+        } : undefined,
+        yAxis: [{
             type: 'value',
             name: 'Height (ft)',
             nameTextStyle: {
@@ -135,21 +163,35 @@ const TideTable = memo(function TideTable({ tideData }) {
                     type: 'dashed',
                 }
             }
-        },
+        }, {
+            type: 'value',
+            name: 'Surge (ft)',
+            show: !!observedData,
+            nameTextStyle: {
+                color: '#ff7043',
+                fontSize: 12,
+                fontFamily: 'Orbitron, monospace',
+            },
+            axisLine: {
+                lineStyle: {
+                    color: '#ff7043',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#ff7043',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: { show: false }
+        }],
         series: [{
+            name: 'Tide',
             type: 'line',
-            data: tideGraphData?.map(point => point.value) || [],
-            smooth: true,
-            symbol: 'circle',
-            symbolSize: 8,
-            itemStyle: {
-                color: (params) => {
-                    const point = tideGraphData?.[params.dataIndex];
-                    return point?.type === 'H' ? '#00bcd4' : '#ff7043';
-                },
-                borderColor: '#ffffff',
-                borderWidth: 2,
-            },
+            data: tideCurveData || tideGraphData?.map(point => [point.timestamp, point.value]) || [],
+            smooth: !tideCurveData,
+            showSymbol: false,
             lineStyle: {
                 color: '#00ffff',
                 width: 3,
@@ -172,18 +214,21 @@ const TideTable = memo(function TideTable({ tideData }) {
                     }]
                 }
             },
-            emphasis: {
-                focus: 'series',
+            markArea: {
+                silent: true,
                 itemStyle: {
-                    shadowBlur: 20,
-                    shadowColor: '#00ffff'
-                }
+                    color: 'rgba(0, 0, 30, 0.45)',
+                },
+                data: nightAreas.map(([start, end]) => [
+                    { xAxis: start },
+                    { xAxis: end },
+                ]),
             },
-            markLine: currentTimeData?.index >= 0 ? {
+            markLine: {
                 symbol: 'none',
                 data: [{
                     name: 'Current Time',
-                    xAxis: currentTimeData.index,
+                    xAxis: currentTimeData.timestamp,
                     lineStyle: {
                         type: 'dashed',
                         color: '#ffff00',
@@ -194,7 +239,9 @@ const TideTable = memo(function TideTable({ tideData }) {
                     label: {
                         show: true,
                         position: 'insideEndTop',
-                        formatter: `NOW\n${currentTimeData.time}`,
+                        formatter: currentTimeData.height !== null
+                            ? `NOW\n${currentTimeData.time}\n${currentTimeData.height.toFixed(1)} ft`
+                            : `NOW\n${currentTimeData.time}`,
                         color: '#ffff00',
                         fontFamily: 'Orbitron, monospace',
                         fontSize: 10,
@@ -208,10 +255,60 @@ const TideTable = memo(function TideTable({ tideData }) {
                 }],
                 animation: true,
                 animationDuration: 1000,
-            } : undefined
-        }],
+            }
+        }, {
+            name: 'High/Low',
+            type: 'scatter',
+            data: tideGraphData?.map(point => [point.timestamp, point.value]) || [],
+            symbol: 'circle',
+            symbolSize: 8,
+            itemStyle: {
+                color: (params) => {
+                    const point = tideGraphData?.[params.dataIndex];
+                    return point?.type === 'H' ? '#00bcd4' : '#ff7043';
+                },
+                borderColor: '#ffffff',
+                borderWidth: 2,
+            },
+            emphasis: {
+                focus: 'series',
+                itemStyle: {
+                    shadowBlur: 20,
+                    shadowColor: '#00ffff'
+                }
+            },
+        }, ...(observedData ? [{
+            name: 'Observed',
+            type: 'line',
+            data: observedData.observed,
+            showSymbol: false,
+            lineStyle: {
+                color: '#ffffff',
+                width: 2,
+                type: 'dashed',
+            },
+            itemStyle: {
+                color: '#ffffff',
+            },
+        }, {
+            name: 'Surge',
+            type: 'line',
+            yAxisIndex: 1,
+            data: observedData.residual,
+            showSymbol: false,
+            lineStyle: {
+                color: '#ff7043',
+                width: 2,
+            },
+            itemStyle: {
+                color: '#ff7043',
+            },
+            areaStyle: {
+                color: 'rgba(255, 112, 67, 0.15)',
+            },
+        }] : [])],
         tooltip: {
-            trigger: 'axis',
+            trigger: 'item',
             backgroundColor: 'rgba(0, 20, 40, 0.9)',
             borderColor: '#00ffff',
             borderWidth: 1,
@@ -220,7 +317,17 @@ const TideTable = memo(function TideTable({ tideData }) {
                 fontFamily: 'Orbitron, monospace',
             },
             formatter: (params) => {
-                const point = tideGraphData?.[params[0]?.dataIndex];
+                if (params.seriesName !== 'High/Low') {
+                    const time = new Date(params.value[0]).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                    const label = params.seriesName === 'Surge' ? '🌀 Surge' : params.seriesName === 'Observed' ? '📡 Observed' : '📏 Height';
+                    return `
+                        <div style="font-family: Orbitron, monospace; font-weight: bold;">
+                            ⏰ Time: ${time}<br/>
+                            ${label}: ${params.value[1].toFixed(2)} ft
+                        </div>
+                    `;
+                }
+                const point = tideGraphData?.[params.dataIndex];
                 if (!point) return '';
                 return `
                     <div style="font-family: Orbitron, monospace; font-weight: bold;">
@@ -232,7 +339,7 @@ const TideTable = memo(function TideTable({ tideData }) {
                 `;
             }
         }
-    }), [tideGraphData, currentTimeData]);
+    }), [tideGraphData, tideCurveData, observedData, nightAreas, currentTimeData]);
 
     if (!tideData || !tideData.predictions) {
         return (
@@ -268,6 +375,29 @@ const TideTable = memo(function TideTable({ tideData }) {
                 transition={{ duration: 0.6 }}
             >
                 <h3 className="tide-graph-title">🌊 Tide Chart 🌊</h3>
+                {tideData.degraded && (
+                    <p className="tide-degraded">
+                        <DegradedNotice data={tideData} />
+                    </p>
+                )}
+                {tideData.surge && tideData.surge.level !== 'normal' && (
+                    <p className={`tide-surge ${tideData.surge.level}`}>
+                        🌀 Water level {Math.abs(tideData.surge.residual).toFixed(1)} ft {tideData.surge.direction} prediction
+                        {tideData.surge.level === 'significant' ? ' - significant storm surge' : ''}
+                        <ObservationAge
+                            timestamp={tideData.surge.timestamp}
+                            staleAfterMinutes={tideData.surge.staleAfterMinutes}
+                            label="gauge read"
+                        />
+                    </p>
+                )}
+                {currentTimeData.height !== null && (
+                    <p className="tide-current">
+                        Now {currentTimeData.height.toFixed(1)} ft •{' '}
+                        {currentTimeData.direction === 'rising' ? '⬆️ Rising' : currentTimeData.direction === 'falling' ? '⬇️ Falling' : '➡️ Slack'}{' '}
+                        {Math.abs(currentTimeData.rate).toFixed(1)} ft/hr
+                    </p>
+                )}
                 <div className="tide-graph">
                     <ReactECharts
                         option={chartOptions}
@@ -334,6 +464,9 @@ const TideTable = memo(function TideTable({ tideData }) {
                     </div>
                 </div>
             </motion.div>
+
+            {/* Day-by-day calendar */}
+            <TideCalendar calendarData={calendarData} loading={calendarLoading} />
         </div>
     );
 });
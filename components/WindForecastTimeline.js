@@ -0,0 +1,231 @@
+import React, { useMemo, memo } from 'react';
+import { motion } from 'framer-motion';
+import dynamic from 'next/dynamic';
+import { getSpot, isOffshoreWind } from '../lib/spots';
+
+// Dynamically import ReactECharts to avoid SSR issues and improve performance
+const ReactECharts = dynamic(() => import('echarts-for-react'), {
+    ssr: false,
+    loading: () => <div className="chart-loading">💨 Loading Wind Forecast...</div>
+});
+
+// Light onshore or any offshore wind counts as clean. Offshore depends on
+// which way the spot faces (east wind at Ocean Beach).
+const isClean = (hour, spot) => isOffshoreWind(hour.direction, spot) || hour.speed <= 5;
+
+const WindForecastTimeline = memo(function WindForecastTimeline({ forecastData, loading, spot = getSpot() }) {
+    const hours = forecastData?.hours;
+
+    // Group consecutive clean hours into windows for shading
+    const cleanWindows = useMemo(() => {
+        if (!hours) return [];
+
+        const windows = [];
+        let current = null;
+        hours.forEach((hour, i) => {
+            if (isClean(hour, spot)) {
+                if (!current) current = { start: hour.time, end: hour.time };
+                current.end = hours[i + 1]?.time || hour.time;
+            } else if (current) {
+                windows.push(current);
+                current = null;
+            }
+        });
+        if (current) windows.push(current);
+        return windows;
+    }, [hours, spot]);
+
+    const chartOptions = useMemo(() => ({
+        backgroundColor: 'transparent',
+        animation: true,
+        animationDuration: 1000,
+        animationEasing: 'cubicOut',
+        grid: {
+            left: '10%',
+            right: '10%',
+            top: '15%',
+            bottom: '20%',
+            backgroundColor: 'rgba(0, 20, 40, 0.3)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+        },
+        legend: {
+            data: ['Wind', 'Gust'],
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+        },
+        xAxis: {
+            type: 'time',
+            axisLine: {
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#00ffff',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: {
+                show: true,
+                lineStyle: {
+                    color: 'rgba(0, 255, 255, 0.1)',
+                    type: 'dashed',
+                }
+            }
+        },
+        yAxis: {
+            type: 'value',
+            name: 'Speed (kts)',
+            nameTextStyle: {
+                color: '#00ffff',
+                fontSize: 12,
+                fontFamily: 'Orbitron, monospace',
+            },
+            axisLine: {
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 2,
+                }
+            },
+            axisLabel: {
+                color: '#00ffff',
+                fontSize: 10,
+                fontFamily: 'Orbitron, monospace',
+                fontWeight: 'bold',
+            },
+            splitLine: {
+                lineStyle: {
+                    color: 'rgba(0, 255, 255, 0.1)',
+                    type: 'dashed',
+                }
+            }
+        },
+        series: [
+            {
+                name: 'Wind',
+                type: 'line',
+                // Arrows point the way the wind is blowing (direction is where it comes from)
+                data: (hours || []).map(hour => ({
+                    value: [hour.time, hour.speed],
+                    symbol: 'arrow',
+                    symbolSize: 10,
+                    symbolRotate: -(hour.direction + 180),
+                    itemStyle: {
+                        color: isOffshoreWind(hour.direction, spot) ? '#00e676' : '#ff7043',
+                    },
+                })),
+                lineStyle: {
+                    color: '#00ffff',
+                    width: 3,
+                    shadowColor: '#00ffff',
+                    shadowBlur: 10,
+                },
+                markArea: {
+                    silent: true,
+                    itemStyle: {
+                        color: 'rgba(0, 230, 118, 0.12)',
+                    },
+                    data: cleanWindows.map(window => [
+                        { xAxis: window.start },
+                        { xAxis: window.end },
+                    ]),
+                },
+            },
+            {
+                name: 'Gust',
+                type: 'line',
+                data: (hours || []).filter(hour => hour.gust !== null).map(hour => [hour.time, hour.gust]),
+                showSymbol: false,
+                lineStyle: {
+                    color: '#ff7043',
+                    width: 2,
+                    type: 'dashed',
+                },
+                itemStyle: {
+                    color: '#ff7043',
+                },
+            }
+        ],
+        tooltip: {
+            trigger: 'axis',
+            backgroundColor: 'rgba(0, 20, 40, 0.9)',
+            borderColor: '#00ffff',
+            borderWidth: 1,
+            textStyle: {
+                color: '#00ffff',
+                fontFamily: 'Orbitron, monospace',
+            },
+            formatter: (params) => {
+                const hour = hours?.[params[0]?.dataIndex];
+                if (!hour) return '';
+                const time = new Date(hour.time).toLocaleString('en-US', {
+                    weekday: 'short',
+                    hour: 'numeric'
+                });
+                return `
+                    <div style="font-family: Orbitron, monospace; font-weight: bold;">
+                        ⏰ ${time}<br/>
+                        💨 Wind: ${hour.speed} kts ${hour.directionText} (${hour.direction}°)<br/>
+                        🌬️ Gust: ${hour.gust ?? 'N/A'} kts<br/>
+                        ${isOffshoreWind(hour.direction, spot) ? '✅ Offshore' : isClean(hour, spot) ? '✨ Light' : '⚠️ Onshore'}
+                    </div>
+                `;
+            }
+        }
+    }), [hours, cleanWindows, spot]);
+
+    if (loading) {
+        return <div className="chart-loading">💨 Loading Wind Forecast...</div>;
+    }
+
+    if (!hours || hours.length === 0) {
+        return (
+            <div className="tide-error">
+                <div className="error-icon">💨</div>
+                <p>Wind forecast currently unavailable</p>
+                <p className="error-subtext">Check back in a few minutes</p>
+            </div>
+        );
+    }
+
+    return (
+        <motion.div
+            className="tide-graph-container"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+        >
+            <h3 className="tide-graph-title">💨 Next 48 Hours 💨</h3>
+            <p className="swell-trend">
+                Shaded hours are offshore or under 5 kts
+            </p>
+            <div className="tide-graph">
+                <ReactECharts
+                    option={chartOptions}
+                    style={{ height: '400px', width: '100%' }}
+                    theme="dark"
+                    lazyUpdate={true}
+                    notMerge={false}
+                    opts={{ renderer: 'canvas' }}
+                />
+            </div>
+            <p className="data-source">
+                Forecast courtesy of{' '}
+                <a
+                    href={`https://forecast.weather.gov/MapClick.php?lat=${spot.lat}&lon=${spot.lon}`}
+                    target="_blank"
+                    rel="noopener"
+                >
+                    National Weather Service
+                </a>
+            </p>
+        </motion.div>
+    );
+});
+
+export default WindForecastTimeline;
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { getDirectionText } from '../lib/compass';
+import ObservationAge from './ObservationAge';
+
+// Expandable per-station breakdown behind the blended wind reading: what each
+// source measured, how much it counted, how old it is, and which sources
+// were rejected or failed and why.
+export default function WindSourceBreakdown({ windData }) {
+    const [expanded, setExpanded] = useState(false);
+
+    const sources = windData.sources || [];
+    // Older responses (and snapshots saved before adapters) only carry `errors`
+    const failed = windData.adapters
+        ? windData.adapters.filter(adapter => adapter.status !== 'ok').map(adapter => ({
+            id: adapter.id,
+            name: adapter.name,
+            reason: adapter.error,
+        }))
+        : (windData.errors || []).map(error => {
+            const [name, ...reason] = error.split(': ');
+            return { id: error, name, reason: reason.join(': ') };
+        });
+
+    if (sources.length === 0 && failed.length === 0) return null;
+
+    const usedWeight = sources
+        .filter(source => source.status !== 'outlier' && source.status !== 'stale')
+        .reduce((sum, source) => sum + source.weight, 0);
+    const agreement = windData.agreement;
+
+    return (
+        <div className="wind-sources">
+            <button
+                type="button"
+                className="wind-sources-toggle"
+                onClick={() => setExpanded(!expanded)}
+                aria-expanded={expanded}
+            >
+                {expanded ? '▾' : '▸'} {sources.length} source{sources.length === 1 ? '' : 's'}
+                {failed.length > 0 ? `, ${failed.length} down` : ''}
+            </button>
+
+            <AnimatePresence initial={false}>
+                {expanded && (
+                    <motion.div
+                        className="wind-sources-panel"
+                        initial={{ height: 0, opacity: 0 }}
+                        animate={{ height: 'auto', opacity: 1 }}
+                        exit={{ height: 0, opacity: 0 }}
+                        transition={{ duration: 0.2 }}
+                    >
+                        {agreement?.score !== null && agreement?.score !== undefined && (
+                            <div className={`wind-agreement ${agreement.level}`}>
+                                Agreement: {agreement.level} ({Math.round(agreement.score * 100)}%) • ±{agreement.directionSpread}° • ±{agreement.speedSpread} kts
+                            </div>
+                        )}
+
+                        <ul className="wind-source-list">
+                            {sources.map(source => {
+                                const rejected = source.status === 'outlier' || source.status === 'stale';
+                                return (
+                                    <li key={source.name} className={`wind-source ${rejected ? 'rejected' : ''}`}>
+                                        <span
+                                            className="wind-source-arrow"
+                                            // Arrows point downwind; direction is where the wind comes from
+                                            style={{ transform: `rotate(${(source.direction + 180) % 360}deg)` }}
+                                            title={`From ${source.direction}°`}
+                                        >
+                                            ↑
+                                        </span>
+                                        <span className="wind-source-name">
+                                            {source.stationName || source.name}
+                                            {source.distanceKm !== undefined && source.distanceKm !== null && (
+                                                <span className="wind-source-distance"> {source.distanceKm} km</span>
+                                            )}
+                                        </span>
+                                        <span className="wind-source-reading">
+                                            {source.speed} kts {getDirectionText(source.direction)}
+                                            {source.gust ? ` G${source.gust}` : ''}
+                                        </span>
+                                        <span className="wind-source-weight">
+                                            {rejected
+                                                ? `${source.status}: ${source.rejectedReason}`
+                                                : `weight ${Math.round(source.weight * 100) / 100}${usedWeight > 0 ? ` (${Math.round((source.weight / usedWeight) * 100)}%)` : ''}`}
+                                        </span>
+                                        <ObservationAge
+                                            timestamp={source.timestamp}
+                                            staleAfterMinutes={source.staleAfterMinutes}
+                                        />
+                                    </li>
+                                );
+                            })}
+                        </ul>
+
+                        {failed.length > 0 && (
+                            <ul className="wind-source-list failed">
+                                {failed.map(source => (
+                                    <li key={source.id} className="wind-source failed">
+                                        <span className="wind-source-arrow">✕</span>
+                                        <span className="wind-source-name">{source.name}</span>
+                                        <span className="wind-source-weight">{source.reason}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
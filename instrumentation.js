@@ -0,0 +1,15 @@
+// Runs once when the Next.js server starts. Long-running servers evaluate
+// push alerts on a timer; on Vercel the cron in vercel.json does it instead.
+export async function register() {
+    if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.VERCEL) return;
+    if (process.env.NEXT_PHASE === 'phase-production-build') return;
+
+    const { hasPersistentStore } = await import('./lib/dataStore');
+    if (!hasPersistentStore()) {
+        console.warn('DATA_DIR is not set - push alerts and webhooks are off');
+        return;
+    }
+
+    const { startAlertSchedule } = await import('./lib/alerts');
+    startAlertSchedule();
+}
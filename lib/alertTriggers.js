@@ -0,0 +1,91 @@
+// Alert triggers: user-defined conditions on the surf analysis, e.g. "good or
+// better with offshore wind and a dropping tide". A trigger is turned into a
+// scoring-rule `when` clause and checked with the same rule engine.
+import { matchesRule } from './ruleEngine';
+import RULES from './scoringRules.json';
+
+// Worst to best, from the levels calculateOverallQuality produces plus firing
+export const QUALITY_LEVELS = [
+    ...new Set([
+        ...RULES.overall.levels.map(level => level.quality).reverse(),
+        RULES.overall.firing.quality,
+    ]),
+];
+
+export const WIND_OPTIONS = {
+    any: 'any wind',
+    offshore: 'offshore wind',
+    clean: 'offshore or light wind',
+};
+
+export const TIDE_OPTIONS = {
+    any: 'any tide',
+    preferred: "the spot's preferred tide",
+    dropping: 'dropping tide',
+    rising: 'rising tide',
+};
+
+// A wind score this high means offshore, glassy or light (scoringRules.json)
+const CLEAN_WIND_SCORE = 4;
+
+// Validate and normalize a trigger from the client. Throws with a message
+// fit for a 400 response.
+export function normalizeTrigger(trigger = {}) {
+    const { minQuality = 'good', wind = 'any', tide = 'any', daylightOnly = true } = trigger;
+
+    if (!QUALITY_LEVELS.includes(minQuality)) {
+        throw new Error(`minQuality must be one of: ${QUALITY_LEVELS.join(', ')}`);
+    }
+    if (!Object.hasOwn(WIND_OPTIONS, wind)) {
+        throw new Error(`wind must be one of: ${Object.keys(WIND_OPTIONS).join(', ')}`);
+    }
+    if (!Object.hasOwn(TIDE_OPTIONS, tide)) {
+        throw new Error(`tide must be one of: ${Object.keys(TIDE_OPTIONS).join(', ')}`);
+    }
+
+    return { minQuality, wind, tide, daylightOnly: Boolean(daylightOnly) };
+}
+
+// Stable id so the same trigger isn't stored twice
+export function getTriggerId({ minQuality, wind, tide, daylightOnly }) {
+    return `${minQuality}-${wind}-${tide}${daylightOnly ? '-daylight' : ''}`;
+}
+
+// "Good or better, offshore wind, dropping tide"
+export function describeTrigger({ minQuality, wind, tide, daylightOnly }) {
+    const parts = [`${minQuality[0].toUpperCase()}${minQuality.slice(1)} or better`];
+    if (wind !== 'any') parts.push(WIND_OPTIONS[wind]);
+    if (tide !== 'any') parts.push(TIDE_OPTIONS[tide]);
+    if (daylightOnly) parts.push('daylight only');
+    return parts.join(', ');
+}
+
+function toRule({ minQuality, wind, tide, daylightOnly }) {
+    const when = { qualityRank: { gte: QUALITY_LEVELS.indexOf(minQuality) } };
+
+    if (wind === 'offshore') when.isOffshore = { eq: true };
+    if (wind === 'clean') when.windScore = { gte: CLEAN_WIND_SCORE };
+    if (tide === 'preferred') when.isPreferredTide = { eq: true };
+    if (tide === 'dropping' || tide === 'rising') when.tideDirection = { eq: tide };
+    if (daylightOnly) when.isLight = { eq: true };
+
+    return { when };
+}
+
+// Facts about the current conditions from a summarizeConditions() result and
+// getLightStatus()
+export function getAlertFacts(analysis, light) {
+    const { wind, tide } = analysis.details;
+    return {
+        qualityRank: QUALITY_LEVELS.indexOf(analysis.quality),
+        isOffshore: wind.isOffshore,
+        windScore: wind.score,
+        tideDirection: tide.direction,
+        isPreferredTide: tide.isPreferred,
+        isLight: light.isLight,
+    };
+}
+
+export function matchesTrigger(trigger, facts) {
+    return matchesRule(toRule(trigger), facts);
+}
@@ -0,0 +1,166 @@
+// Scheduled evaluation. Every run scores current conditions for each spot
+// someone is watching, then sends push notifications when one of a
+// subscription's triggers starts matching - not on every run while it keeps
+// matching - and delivers conditions changes to webhooks (lib/webhooks.js).
+import { analyzeCurrentConditions, CONDITIONS_REVALIDATE_SECONDS } from './conditions';
+import { getLightStatus } from './solar';
+import { getSpot } from './spots';
+import { getAlertFacts, matchesTrigger, describeTrigger } from './alertTriggers';
+import { listSubscriptions, updateSubscriptions, isAbandoned } from './pushSubscriptions';
+import { sendNotification } from './webPush';
+import { listWebhooks, getWatchedSpots, evaluateWebhooks, retryDueDeliveries } from './webhooks';
+
+// A trigger that flaps off and back on within this long doesn't ping again
+const COOLDOWN_MS = 3 * 60 * 60 * 1000;
+
+// Notifications sent at once. Each can take up to the push timeout, so one
+// at a time would let a few slow push services run the cron out of time.
+const SEND_CONCURRENCY = 10;
+
+// Lock-screen notifications get cut off well before this
+const MAX_BODY_LENGTH = 180;
+
+function buildNotification(spot, analysis, trigger) {
+    const body = analysis.summary.length > MAX_BODY_LENGTH
+        ? `${analysis.summary.slice(0, MAX_BODY_LENGTH - 1)}…`
+        : analysis.summary;
+
+    return {
+        title: `${analysis.emoji} ${spot.name} is ${analysis.quality}`,
+        body,
+        url: spot.slug === 'ocean-beach' ? '/' : `/spots/${spot.slug}`,
+        // Replaces an older notification for the same spot and trigger
+        tag: `${spot.slug}:${trigger.id}`,
+        trigger: describeTrigger(trigger),
+    };
+}
+
+// One analysis per spot, shared by everyone watching it
+async function analyzeSpots(slugs, now) {
+    const factsBySpot = new Map();
+    await Promise.all(slugs.map(async slug => {
+        const spot = getSpot(slug);
+        if (!spot) return;
+
+        const { analysis } = await analyzeCurrentConditions(spot, now);
+        // Don't wake anyone up on snapshots or stale readings
+        if (!analysis || analysis.degraded.length > 0) return;
+
+        factsBySpot.set(slug, { spot, analysis, facts: getAlertFacts(analysis, getLightStatus(now, spot)) });
+    }));
+    return factsBySpot;
+}
+
+// Evaluate every subscription's triggers and send notifications for the ones
+// that just started matching, then hand the same analyses to the webhooks.
+// Returns a summary of the run.
+export async function evaluateAlerts(now = new Date()) {
+    const [subscriptions, webhooks] = await Promise.all([listSubscriptions(), listWebhooks()]);
+    const slugs = [...new Set([
+        ...subscriptions.map(subscription => subscription.spot),
+        ...getWatchedSpots(webhooks),
+    ])];
+
+    const factsBySpot = await analyzeSpots(slugs, now);
+
+    const stateUpdates = new Map();
+    const sends = [];
+
+    for (const subscription of subscriptions) {
+        const current = factsBySpot.get(subscription.spot);
+        if (!current || isAbandoned(subscription, now)) continue;
+
+        const state = { ...subscription.state };
+
+        for (const trigger of subscription.triggers) {
+            const previous = state[trigger.id] || {};
+            const matching = matchesTrigger(trigger, current.facts);
+            const coolingDown = previous.notifiedAt && now - new Date(previous.notifiedAt) < COOLDOWN_MS;
+            state[trigger.id] = { ...previous, matching };
+
+            if (!matching || previous.matching || coolingDown) continue;
+
+            sends.push({ subscription, trigger, state, notification: buildNotification(current.spot, current.analysis, trigger) });
+        }
+
+        stateUpdates.set(subscription.id, state);
+    }
+
+    const expired = new Set();
+    let sent = 0;
+    let failed = 0;
+
+    while (sends.length > 0) {
+        // Nothing more for subscriptions the push service said are gone
+        const batch = sends.splice(0, SEND_CONCURRENCY).filter(({ subscription }) => !expired.has(subscription.id));
+        const results = await Promise.allSettled(batch.map(({ subscription, notification }) =>
+            sendNotification(subscription, notification)));
+
+        results.forEach((result, index) => {
+            const { subscription, trigger, state } = batch[index];
+            if (result.status === 'fulfilled') {
+                state[trigger.id].notifiedAt = now.toISOString();
+                sent += 1;
+                return;
+            }
+
+            failed += 1;
+            if (result.reason.expired) {
+                expired.add(subscription.id);
+            } else {
+                // Try again next run
+                state[trigger.id].matching = false;
+                console.warn(`Push to subscription ${subscription.id} failed:`, result.reason.message);
+            }
+        });
+    }
+
+    let removed = 0;
+    await updateSubscriptions(stored => {
+        const kept = stored.filter(subscription => !expired.has(subscription.id) && !isAbandoned(subscription, now));
+        removed = stored.length - kept.length;
+        return kept.map(subscription => stateUpdates.has(subscription.id)
+            ? { ...subscription, state: stateUpdates.get(subscription.id) }
+            : subscription);
+    });
+
+    const webhookResult = webhooks.length > 0
+        ? await evaluateWebhooks(factsBySpot, now)
+        : null;
+    // Serverless deployments have no retry timer, so catch up here
+    const retries = await retryDueDeliveries(now);
+
+    return {
+        evaluatedAt: now.toISOString(),
+        subscriptions: subscriptions.length,
+        spots: [...factsBySpot.keys()],
+        sent,
+        failed,
+        removed,
+        webhooks: { ...webhookResult, ...retries },
+    };
+}
+
+// Failed webhook deliveries are checked for retries this often on servers
+// that stay up
+const RETRY_CHECK_SECONDS = 60;
+
+// In-process schedule for servers that stay up (`next start`); serverless
+// deployments use the cron in vercel.json instead. Runs on the conditions
+// refresh cadence by default.
+export function startAlertSchedule(intervalSeconds = CONDITIONS_REVALIDATE_SECONDS) {
+    const run = () => evaluateAlerts().catch(error => {
+        console.error('Alert evaluation failed:', error);
+    });
+    const retry = () => retryDueDeliveries().catch(error => {
+        console.error('Webhook retries failed:', error);
+    });
+
+    const timers = [
+        setInterval(run, intervalSeconds * 1000),
+        setInterval(retry, RETRY_CHECK_SECONDS * 1000),
+    ];
+    // Don't hold the process open just for alerts
+    timers.forEach(timer => timer.unref?.());
+    return timers;
+}
@@ -0,0 +1,13 @@
+// Bearer token checks for the server-only endpoints (cron, webhook admin)
+import crypto from 'crypto';
+
+// Whether `authorization` is `Bearer <secret>`, compared in constant time.
+// With no secret configured only dev servers let requests through, so a
+// missing env var fails closed in production.
+export function isBearerAuthorized(authorization, secret) {
+    if (!secret) return process.env.NODE_ENV !== 'production';
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(String(authorization || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,136 @@
+import { getSpectralUrl, parseWaveParameters, parseSpectrum, parseObservationTime } from './cdip';
+import { getRealtimeUrl, parseRealtime } from './ndbc';
+import { partitionSpectrum, calculateGroupiness } from './spectrum';
+import { upstreamFetch } from './upstream';
+import { getFreshness, STALE_AFTER_MINUTES } from './freshness';
+
+// CDIP spectral file: summary parameters plus partitioned swell trains
+function parseCdipSpectral(textData) {
+    const waveParams = parseWaveParameters(textData);
+
+    if (!waveParams) {
+        throw new Error('Invalid text data format from CDIP - could not parse wave parameters');
+    }
+
+    // Split the energy spectrum into individual swell trains
+    const spectrum = parseSpectrum(textData);
+
+    return {
+        ...waveParams,
+        // Convert wave height from meters to feet
+        Hs: waveParams.Hs ? (waveParams.Hs * 3.28084).toFixed(2) : null,
+        swells: partitionSpectrum(spectrum),
+        groupiness: calculateGroupiness(spectrum),
+        timestamp: parseObservationTime(textData), // Sample time (UTC), null if the header lacks it
+    };
+}
+
+// NDBC standard met file: latest row that actually reported waves
+function parseNdbcWaves(textData) {
+    const latest = parseRealtime(textData).find(row => row.WVHT !== null);
+
+    if (!latest) {
+        throw new Error('Invalid text data format from NDBC - no wave observations found');
+    }
+
+    return {
+        Hs: (latest.WVHT * 3.28084).toFixed(2), // Wave height in feet
+        Tp: latest.DPD, // Dominant period in seconds
+        Dp: latest.MWD, // Mean direction in degrees
+        swells: [],
+        groupiness: null,
+        timestamp: latest.timestamp, // Observation time (UTC)
+    };
+}
+
+// Buoys around the Golden Gate plus the deep-water buoys used for swell
+// propagation. CDIP stations are also published by NDBC (ndbcId), which is
+// where their history comes from.
+export const BUOY_STATIONS = {
+    '029': {
+        id: '029',
+        name: 'Point Reyes',
+        lat: 37.946,
+        lon: -123.470,
+        provider: 'CDIP',
+        ndbcId: '46214',
+        getUrl: () => getSpectralUrl('029'),
+        parse: parseCdipSpectral,
+        cacheSeconds: 1800, // CDIP publishes a new spectrum every 30 minutes
+    },
+    '142': {
+        id: '142',
+        name: 'SF Bar',
+        lat: 37.786,
+        lon: -122.634,
+        provider: 'CDIP',
+        ndbcId: '46237',
+        getUrl: () => getSpectralUrl('142'),
+        parse: parseCdipSpectral,
+        cacheSeconds: 1800,
+    },
+    '46026': {
+        id: '46026',
+        name: 'San Francisco (offshore)',
+        lat: 37.755,
+        lon: -122.839,
+        provider: 'NDBC',
+        ndbcId: '46026',
+        getUrl: () => getRealtimeUrl('46026'),
+        parse: parseNdbcWaves,
+        cacheSeconds: 3600, // NDBC posts standard met data hourly
+    },
+    '46012': {
+        id: '46012',
+        name: 'Half Moon Bay',
+        lat: 37.361,
+        lon: -122.881,
+        provider: 'NDBC',
+        ndbcId: '46012',
+        getUrl: () => getRealtimeUrl('46012'),
+        parse: parseNdbcWaves,
+        cacheSeconds: 3600,
+    },
+    // Deep-water buoys that see swell hours before it reaches the coast
+    '46059': {
+        id: '46059',
+        name: 'West California',
+        lat: 38.094,
+        lon: -129.951,
+        provider: 'NDBC',
+        ndbcId: '46059',
+        offshore: true,
+        getUrl: () => getRealtimeUrl('46059'),
+        parse: parseNdbcWaves,
+        cacheSeconds: 3600,
+    },
+    '46006': {
+        id: '46006',
+        name: 'Southeast Papa',
+        lat: 40.782,
+        lon: -137.397,
+        provider: 'NDBC',
+        ndbcId: '46006',
+        offshore: true,
+        getUrl: () => getRealtimeUrl('46006'),
+        parse: parseNdbcWaves,
+        cacheSeconds: 3600,
+    },
+};
+
+export const DEFAULT_STATION = '142';
+
+// Own keys only - query values like "constructor" must not match
+export function getBuoyStation(stationId = DEFAULT_STATION) {
+    return Object.hasOwn(BUOY_STATIONS, stationId) ? BUOY_STATIONS[stationId] : null;
+}
+
+// Fetch and parse a station's latest reading, with how old the observation is
+export async function fetchStationReading(station) {
+    const source = station.provider.toLowerCase();
+    const reading = station.parse(await upstreamFetch(source, station.getUrl(), { as: 'text' }));
+    return {
+        ...reading,
+        ...getFreshness(reading.timestamp, STALE_AFTER_MINUTES[source]),
+    };
+}
@@ -0,0 +1,63 @@
+// CDIP justdar "sp" output: a header block with the file name (which carries
+// the sample start time) and the summary wave parameters, followed by one row
+// per frequency band:
+//
+//   File Name:  sp14201202610191800
+//   ...
+//   Hs(m):  0.82   Tp(s): 15.38   Dp(deg): 222   Ta(s):  8.48
+//
+//    freq    Band    energy   Dmean    a1      b1      a2      b2    Check
+//    Hz      width   m*m/Hz   deg
+//    0.0250  0.0050  0.0000    -1     ...
+export function getSpectralUrl(station) {
+    return `https://cdip.ucsd.edu/data_access/justdar.cdip?${station}+sp`;
+}
+
+// Summary parameters from the header line
+export function parseWaveParameters(textData) {
+    const waveParamsMatch = textData.match(/Hs\(m\):\s*([\d.]+)\s+Tp\(s\):\s*([\d.]+)\s+Dp\(deg\):\s*(\d+)/);
+
+    if (!waveParamsMatch) {
+        return null;
+    }
+
+    return {
+        Hs: parseFloat(waveParamsMatch[1]) || null, // Wave height in meters
+        Tp: parseFloat(waveParamsMatch[2]) || null, // Peak period in seconds
+        Dp: parseInt(waveParamsMatch[3]) || null, // Direction in degrees
+    };
+}
+
+// When the spectrum was measured (UTC). Prefers an explicit sample start
+// date, falling back to the timestamp at the end of the file name
+// (sp + station + deployment + YYYYMMDDhhmm). Null if neither is present.
+export function parseObservationTime(textData) {
+    const match = textData.match(/(?:Start|Sample)[^:\n]*:\s*(\d{4})[/-]?(\d{2})[/-]?(\d{2})[\sT]+(\d{2}):?(\d{2})/) ||
+        textData.match(/File Name:\s*sp\d*?(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})\b/);
+
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(value => parseInt(value));
+    const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    return isNaN(timestamp.getTime()) ? null : timestamp.toISOString();
+}
+
+// Energy density per frequency band
+export function parseSpectrum(textData) {
+    const bins = [];
+
+    textData.split('\n').forEach(line => {
+        const match = line.match(/^\s*(0\.\d+)\s+(0\.\d+)\s+([\d.]+(?:[eE][-+]?\d+)?)\s+(-?\d+)/);
+        if (match) {
+            const direction = parseInt(match[4]);
+            bins.push({
+                frequency: parseFloat(match[1]), // Hz
+                bandwidth: parseFloat(match[2]), // Hz
+                energy: parseFloat(match[3]), // m²/Hz
+                direction: direction >= 0 ? direction : null, // Mean direction, -1 when missing
+            });
+        }
+    });
+
+    return bins;
+}
@@ -0,0 +1,17 @@
+// Convert direction to 16-point compass text
+export function getDirectionText(degrees) {
+    if (degrees === null || degrees === undefined || isNaN(degrees)) return 'N/A';
+
+    const directions = [
+        'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+    ];
+    const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+    return directions[index];
+}
+
+// Smallest angle between two directions
+export function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
@@ -0,0 +1,76 @@
+// Current buoy, tide and wind data with last-known-good fallback, shared by
+// the /api routes and server rendering, plus the surf summary in one go
+import { getBuoyStation, fetchStationReading } from './buoyStations';
+import { fetchTideData, resolveTideQuery } from './tides';
+import { fetchWindData } from './wind';
+import { withLastKnownGood } from './snapshots';
+import { summarizeConditions } from './surfSummary';
+
+// How often pages showing current conditions are regenerated, in seconds.
+// Matches the wind and tide API cache lifetimes.
+export const CONDITIONS_REVALIDATE_SECONDS = 900;
+
+export function getBuoyConditions(station) {
+    return withLastKnownGood(`buoy:${station.id}`, async () => ({
+        station: station.id,
+        stationName: station.name,
+        ...(await fetchStationReading(station)),
+    }));
+}
+
+export function getWindConditions(spot) {
+    return withLastKnownGood(`wind:${spot.slug}`, () => fetchWindData(spot));
+}
+
+// Snapshots are kept per resolved range and interval so a calendar never
+// falls back to a single day's tides. Only ranges relative to today get one -
+// keying on pinned begin/end dates would let any query string add a file.
+export function getTideConditions(spot, query = {}) {
+    const { days, interval, pinned } = resolveTideQuery(query);
+    if (pinned) return fetchTideData(spot, query);
+
+    const range = query.days === undefined ? 'default' : `${days}d`;
+    return withLastKnownGood(`tide:${spot.slug}:${range}:${interval}`, () => fetchTideData(spot, query));
+}
+
+// Each source is optional - whatever fails is left null for the browser to
+// fetch after hydration. The summary needs at least buoy and wind data.
+export async function analyzeCurrentConditions(spot, now = new Date()) {
+    const settle = (name, promise) => promise.catch(error => {
+        console.error(`Server-side ${name} fetch failed:`, error);
+        return null;
+    });
+
+    const [buoy, tide, wind] = await Promise.all([
+        settle('buoy', getBuoyConditions(getBuoyStation(spot.buoy))),
+        settle('tide', getTideConditions(spot)),
+        settle('wind', getWindConditions(spot)),
+    ]);
+
+    // Full analysis (with the per-factor details), null without buoy or wind
+    const analysis = buoy && wind
+        ? summarizeConditions({ buoyData: buoy, windData: wind, tideData: tide, spot, now })
+        : null;
+
+    return { buoy, tide, wind, analysis };
+}
+
+// Current conditions for server rendering, with just the parts of the
+// analysis the page needs
+export async function fetchCurrentConditions(spot, now = new Date()) {
+    const { buoy, tide, wind, analysis } = await analyzeCurrentConditions(spot, now);
+
+    // Page props must be plain JSON (no undefined values)
+    return JSON.parse(JSON.stringify({
+        buoy,
+        tide,
+        wind,
+        analysis: analysis && {
+            summary: analysis.summary,
+            quality: analysis.quality,
+            emoji: analysis.emoji,
+            confidence: analysis.confidence,
+        },
+        generatedAt: now.toISOString(),
+    }));
+}
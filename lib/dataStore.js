@@ -0,0 +1,77 @@
+// Small JSON file store for server-side state: last-known-good snapshots,
+// push subscriptions and webhooks. Files live under DATA_DIR, defaulting to
+// the OS temp dir. That default is fine for snapshots, which are only a
+// fallback cache, but it's per instance and wiped on serverless hosts - so
+// anything that must be shared and kept needs DATA_DIR on persistent storage.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || path.join(os.tmpdir(), 'obsuf-surf');
+
+// Whether stored state can be relied on across restarts and instances.
+// Production without DATA_DIR turns off push alerts, webhooks and the
+// scheduler rather than letting them quietly split across instances.
+export function hasPersistentStore() {
+    return Boolean(process.env.DATA_DIR) || process.env.NODE_ENV !== 'production';
+}
+
+// The 503 body for routes that need it
+export const NO_PERSISTENT_STORE = {
+    error: 'Storage not configured',
+    message: 'Push alerts and webhooks need DATA_DIR set to storage shared by every server instance',
+};
+
+// "snapshots/wind:ocean-beach" -> <DATA_DIR>/snapshots/wind_ocean-beach.json
+function resolveFile(name) {
+    const segments = name.split('/').map(segment => segment.replace(/[^\w.-]/g, '_'));
+    return path.join(DATA_DIR, ...segments) + '.json';
+}
+
+export async function readJson(name, fallback = null) {
+    try {
+        return JSON.parse(await fs.readFile(resolveFile(name), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not read ${name}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+// Files kept per directory. Adding one past this drops the least recently
+// written, so keyed stores like snapshots can't grow without bound.
+const MAX_FILES_PER_DIR = 500;
+
+async function pruneDirectory(dir) {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+    if (names.length <= MAX_FILES_PER_DIR) return;
+
+    const files = await Promise.all(names.map(async name => {
+        const file = path.join(dir, name);
+        const { mtimeMs } = await fs.stat(file).catch(() => ({ mtimeMs: 0 }));
+        return { file, mtimeMs };
+    }));
+
+    const oldest = files.sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, files.length - MAX_FILES_PER_DIR);
+    await Promise.all(oldest.map(({ file }) => fs.rm(file, { force: true })));
+}
+
+// Write to a temp file and rename, so readers never see a half-written file
+export async function writeJson(name, value) {
+    const file = resolveFile(name);
+    const dir = path.dirname(file);
+    await fs.mkdir(dir, { recursive: true });
+
+    const isNew = await fs.access(file).then(() => false, () => true);
+
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(value));
+    await fs.rename(tempFile, file);
+
+    if (isNew) {
+        await pruneDirectory(dir).catch(error => {
+            console.warn(`Could not prune ${dir}:`, error.message);
+        });
+    }
+}
@@ -0,0 +1,40 @@
+// Observation age and staleness. Each source publishes on its own cadence, so
+// each gets its own limit before a reading is flagged stale.
+export const STALE_AFTER_MINUTES = {
+    cdip: 90, // New spectrum every 30 minutes, posted shortly after the sample
+    ndbc: 150, // Hourly standard met, often 30-60 minutes behind
+    nws: 120, // Hourly METARs
+    openweather: 60,
+    synoptic: 60, // Weather stations report every 5-15 minutes
+    noaa: 30, // 6-minute water levels
+};
+
+// Age of a reading at `now`. A reading without a known observation time gets
+// a null age and counts as stale - nothing shows it's recent.
+export function getFreshness(timestamp, staleAfterMinutes, now = new Date()) {
+    const observed = timestamp ? new Date(timestamp) : null;
+
+    if (!observed || isNaN(observed.getTime())) {
+        return { ageMinutes: null, staleAfterMinutes, stale: true };
+    }
+
+    const ageMinutes = Math.max(0, Math.round((now - observed) / (60 * 1000)));
+    return {
+        ageMinutes,
+        staleAfterMinutes,
+        stale: ageMinutes > staleAfterMinutes,
+    };
+}
+
+// "just now", "47 min ago", "2 hr 5 min ago", "3 days ago"
+export function formatAge(ageMinutes) {
+    if (ageMinutes === null || ageMinutes === undefined) return null;
+    if (ageMinutes < 1) return 'just now';
+    if (ageMinutes < 60) return `${ageMinutes} min ago`;
+
+    const hours = Math.floor(ageMinutes / 60);
+    if (hours >= 48) return `${Math.floor(hours / 24)} days ago`;
+
+    const minutes = ageMinutes % 60;
+    return minutes > 0 ? `${hours} hr ${minutes} min ago` : `${hours} hr ago`;
+}
@@ -0,0 +1,33 @@
+// NDBC realtime2 files: whitespace-separated columns, newest observation first.
+// The first header line names the columns (#YY MM DD hh mm WDIR WSPD ...), the
+// second gives units. Missing values are reported as "MM". Times are UTC.
+export function getRealtimeUrl(station, extension = 'txt') {
+    return `https://www.ndbc.noaa.gov/data/realtime2/${station}.${extension}`;
+}
+
+export function parseRealtime(textData) {
+    const lines = textData.trim().split('\n');
+    if (lines.length < 3) {
+        throw new Error('Invalid NDBC data format - no observations found');
+    }
+
+    const columns = lines[0].replace(/^#/, '').trim().split(/\s+/);
+
+    return lines
+        .filter(line => !line.startsWith('#') && line.trim())
+        .map(line => {
+            const values = line.trim().split(/\s+/);
+            const row = {};
+
+            columns.forEach((column, i) => {
+                const value = values[i];
+                row[column] = value === undefined || value === 'MM' ? null : parseFloat(value);
+            });
+
+            // Older files use a two-digit year
+            const year = row.YY < 100 ? 2000 + row.YY : row.YY;
+            row.timestamp = new Date(Date.UTC(year, row.MM - 1, row.DD, row.hh, row.mm)).toISOString();
+
+            return row;
+        });
+}
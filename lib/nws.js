@@ -0,0 +1,86 @@
+// National Weather Service API helpers. Forecast grids are looked up from a
+// lat/lon via /points, then the raw gridpoint data holds time series such as
+// windSpeed, windGust and windDirection.
+import { getDirectionText } from './compass';
+import { upstreamFetch } from './upstream';
+
+// Gridpoint URLs never change for a location, so look each up once per process
+const gridpointCache = new Map();
+
+export async function getGridpointUrl(lat, lon) {
+    const key = `${lat},${lon}`;
+    if (gridpointCache.has(key)) return gridpointCache.get(key);
+
+    const data = await upstreamFetch('nws', `https://api.weather.gov/points/${key}`);
+    const url = data.properties?.forecastGridData;
+    if (!url) {
+        throw new Error('NWS points lookup returned no forecast grid');
+    }
+
+    gridpointCache.set(key, url);
+    return url;
+}
+
+export async function fetchGridpoint(lat, lon) {
+    const url = await getGridpointUrl(lat, lon);
+    return (await upstreamFetch('nws', url)).properties;
+}
+
+// "2026-10-19T12:00:00+00:00/PT3H" -> { start, hours }
+export function parseValidTime(validTime) {
+    const [start, duration] = validTime.split('/');
+    const match = duration.match(/P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/);
+    const days = parseInt(match?.[1]) || 0;
+    const hours = parseInt(match?.[2]) || 0;
+    return {
+        start: new Date(start),
+        hours: Math.max(1, days * 24 + hours),
+    };
+}
+
+// Expand a gridpoint series (values valid over multi-hour periods) into a
+// Map of hourly ISO timestamps -> value
+export function expandHourly(series) {
+    const hourly = new Map();
+    (series?.values || []).forEach(({ validTime, value }) => {
+        const { start, hours } = parseValidTime(validTime);
+        for (let i = 0; i < hours; i++) {
+            const time = new Date(start.getTime() + i * 60 * 60 * 1000);
+            hourly.set(time.toISOString(), value);
+        }
+    });
+    return hourly;
+}
+
+const KMH_TO_KNOTS = 0.539957;
+
+const toKnots = (kmh) => kmh === null || kmh === undefined ? null : Math.round(kmh * KMH_TO_KNOTS * 10) / 10;
+
+// Hourly wind (knots) from the top of the current hour, skipping hours the
+// grid has no speed or direction for
+export function buildHourlyWind(gridpoint, count, from = new Date()) {
+    const speeds = expandHourly(gridpoint.windSpeed);
+    const gusts = expandHourly(gridpoint.windGust);
+    const directions = expandHourly(gridpoint.windDirection);
+
+    const start = new Date(from);
+    start.setUTCMinutes(0, 0, 0);
+
+    const hours = [];
+    for (let i = 0; i < count; i++) {
+        const time = new Date(start.getTime() + i * 60 * 60 * 1000).toISOString();
+        const speed = toKnots(speeds.get(time));
+        const direction = directions.get(time);
+
+        if (speed === null || direction === null || direction === undefined) continue;
+
+        hours.push({
+            time,
+            speed,
+            gust: toKnots(gusts.get(time)),
+            direction,
+            directionText: getDirectionText(direction),
+        });
+    }
+    return hours;
+}
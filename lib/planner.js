@@ -0,0 +1,172 @@
+// 48-hour session planner. Scores each forecast hour with the same wind,
+// swell and tide analysis the live summary uses, then calls out the best
+// windows with surfable light.
+import { analyzeWind, analyzeSwell, analyzeTide, calculateOverallQuality } from './surfAnalysis';
+import { getSunTimes } from './solar';
+import { getStationDay } from './stationTime';
+import { getSpot } from './spots';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours scoring "good" or better make a window worth calling out...
+const WINDOW_MIN_SCORE = 3.5;
+// ...falling back to "fair" hours when nothing better is forecast
+const FALLBACK_MIN_SCORE = 2.5;
+
+export const MAX_WINDOWS = 3;
+
+// Expected swell at the spot for an hour. Offshore readings take over once
+// they're due to arrive; until then the nearshore buoy's reading stands.
+export function expectedSwell(time, current, arrivals = [], now = new Date()) {
+    const at = new Date(time).getTime();
+    const arrived = arrivals
+        .filter(arrival => {
+            const arrivalTime = new Date(arrival.arrival).getTime();
+            return arrivalTime > now.getTime() && arrivalTime <= at;
+        })
+        .sort((a, b) => new Date(b.arrival) - new Date(a.arrival))[0];
+
+    if (arrived) {
+        return {
+            height: arrived.estimatedHeight,
+            period: arrived.period,
+            direction: arrived.direction,
+            swells: [],
+            groupiness: null,
+            source: arrived.buoy,
+        };
+    }
+
+    return {
+        height: parseFloat(current?.Hs) || 0,
+        period: parseFloat(current?.Tp) || 0,
+        direction: parseFloat(current?.Dp) || null,
+        swells: current?.swells || [],
+        groupiness: current?.groupiness || null,
+        source: current?.station ?? null,
+    };
+}
+
+// Score each forecast wind hour. Returns the part of the hour with surfable
+// light (civil dawn to dusk) as `light`, or null for hours in the dark.
+export function scoreHours({ wind, tidePredictions, current, arrivals = [], spot = getSpot(), now = new Date() }) {
+    const sunByDay = new Map();
+    const getSun = (time) => {
+        const day = getStationDay(new Date(time));
+        if (!sunByDay.has(day)) sunByDay.set(day, getSunTimes(day, spot));
+        return sunByDay.get(day);
+    };
+
+    return wind.map(hour => {
+        const swell = expectedSwell(hour.time, current, arrivals, now);
+
+        const windAnalysis = analyzeWind(hour.direction, hour.speed, spot, hour.gust);
+        const swellAnalysis = analyzeSwell(swell.height, swell.period, swell.swells, swell.groupiness, spot);
+        const tideAnalysis = analyzeTide({ predictions: tidePredictions }, new Date(hour.time), spot);
+        const overall = calculateOverallQuality(windAnalysis, swellAnalysis, tideAnalysis);
+
+        const sun = getSun(hour.time);
+        const start = new Date(hour.time).getTime();
+        const lightStart = Math.max(start, new Date(sun.civilDawn).getTime());
+        const lightEnd = Math.min(start + HOUR_MS, new Date(sun.civilDusk).getTime());
+
+        return {
+            time: hour.time,
+            score: Math.round(overall.score * 100) / 100,
+            quality: overall.quality,
+            emoji: overall.emoji,
+            wind: {
+                speed: hour.speed,
+                gust: hour.gust,
+                direction: hour.direction,
+                directionText: hour.directionText,
+                description: windAnalysis.description,
+                isOffshore: windAnalysis.isOffshore,
+                isGusty: windAnalysis.isGusty,
+            },
+            swell: {
+                height: swell.height,
+                period: swell.period,
+                direction: swell.direction,
+                source: swell.source,
+                description: swellAnalysis.description,
+            },
+            tide: {
+                direction: tideAnalysis.direction,
+                isPreferred: tideAnalysis.isPreferred,
+            },
+            light: lightEnd > lightStart
+                ? { start: new Date(lightStart).toISOString(), end: new Date(lightEnd).toISOString() }
+                : null,
+        };
+    });
+}
+
+// "offshore + dropping tide" - what most of the window has going for it
+function describeWindow(run) {
+    const most = (test) => run.filter(test).length * 2 >= run.length;
+    const parts = [];
+
+    if (most(hour => hour.wind.isOffshore)) {
+        parts.push('offshore');
+    } else if (most(hour => hour.wind.speed <= 5)) {
+        parts.push('light wind');
+    }
+
+    if (most(hour => hour.tide.isPreferred)) {
+        parts.push(`${run[0].tide.direction} tide`);
+    }
+
+    return parts.length > 0 ? parts.join(' + ') : run[0].swell.description;
+}
+
+// Consecutive daylight hours at or above a score
+function collectWindows(hours, minScore) {
+    const windows = [];
+    let run = [];
+
+    const close = () => {
+        if (run.length === 0) return;
+        const best = run.reduce((top, hour) => hour.score > top.score ? hour : top);
+        windows.push({
+            start: run[0].light.start,
+            end: run[run.length - 1].light.end,
+            hours: run.length,
+            score: Math.round(run.reduce((sum, hour) => sum + hour.score, 0) / run.length * 100) / 100,
+            peakScore: best.score,
+            quality: best.quality,
+            emoji: best.emoji,
+            label: describeWindow(run),
+            swell: `${best.swell.height}ft @ ${best.swell.period}s`,
+        });
+        run = [];
+    };
+
+    hours.forEach(hour => {
+        const previous = run[run.length - 1];
+        const isContiguous = !previous || new Date(hour.time) - new Date(previous.time) === HOUR_MS;
+
+        if (hour.light && hour.score >= minScore && isContiguous) {
+            run.push(hour);
+        } else {
+            close();
+            if (hour.light && hour.score >= minScore) run.push(hour);
+        }
+    });
+    close();
+
+    return windows;
+}
+
+// Top windows by average score, returned in time order
+export function findBestWindows(hours, limit = MAX_WINDOWS) {
+    let windows = collectWindows(hours, WINDOW_MIN_SCORE);
+    if (windows.length === 0) {
+        windows = collectWindows(hours, FALLBACK_MIN_SCORE);
+    }
+
+    return windows
+        .sort((a, b) => b.score - a.score || b.hours - a.hours)
+        .slice(0, limit)
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
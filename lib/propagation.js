@@ -0,0 +1,82 @@
+// Deep-water swell propagation from offshore buoys to Ocean Beach.
+//
+// Swell energy travels at the group velocity, which in deep water depends
+// only on period: cg = g·T / 4π. A 16s swell covers ~45 km/h while a 10s
+// swell only manages ~28 km/h, so long-period energy shows up first.
+
+export const OCEAN_BEACH = { lat: 37.7594, lon: -122.5107 };
+
+const GRAVITY = 9.81; // m/s²
+const EARTH_RADIUS_KM = 6371;
+
+// Rough energy loss to dispersion and directional spreading over open ocean
+const DECAY_LENGTH_KM = 4000;
+
+// Swell approaching more than this far off the buoy→beach line misses OB
+const MAX_ANGLE_OFF_PATH = 75;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Deep-water group velocity in m/s
+export function groupVelocity(period) {
+    return (GRAVITY * period) / (4 * Math.PI);
+}
+
+// Great-circle distance in km
+export function distanceKm(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Initial compass bearing from one point to another
+export function bearing(from, to) {
+    const dLon = toRadians(to.lon - from.lon);
+    const y = Math.sin(dLon) * Math.cos(toRadians(to.lat));
+    const x = Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) -
+        Math.sin(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.cos(dLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Estimate when and how big a swell seen at an offshore buoy arrives at the
+// target. Returns null when the swell isn't heading towards the target, or
+// when the reading has no observation time to count the travel from.
+export function propagateSwell(reading, buoy, target = OCEAN_BEACH) {
+    const height = parseFloat(reading.Hs);
+    const period = parseFloat(reading.Tp);
+    const direction = parseFloat(reading.Dp);
+    const observedAt = reading.timestamp ? new Date(reading.timestamp).getTime() : NaN;
+
+    if (!height || !period || isNaN(direction) || isNaN(observedAt)) return null;
+
+    // Swell direction is where it comes FROM, so it should line up with the
+    // bearing from the beach out to the buoy
+    const pathBearing = bearing(target, buoy);
+    const offPath = Math.abs(((direction - pathBearing + 540) % 360) - 180);
+    if (offPath > MAX_ANGLE_OFF_PATH) return null;
+
+    const distance = distanceKm(buoy, target);
+    const speedKmh = groupVelocity(period) * 3.6;
+    const travelHours = distance / speedKmh;
+    const arrival = new Date(observedAt + travelHours * 60 * 60 * 1000);
+
+    // Decay with distance and lose energy the further the swell is off-path
+    const decay = Math.exp(-distance / DECAY_LENGTH_KM);
+    const exposure = Math.sqrt(Math.cos(toRadians(offPath)));
+
+    return {
+        buoy: buoy.id,
+        buoyName: buoy.name,
+        observedAt: reading.timestamp,
+        height,
+        period,
+        direction,
+        distanceKm: Math.round(distance),
+        travelHours: Math.round(travelHours * 10) / 10,
+        arrival: arrival.toISOString(),
+        estimatedHeight: Math.round(height * decay * exposure * 10) / 10,
+    };
+}
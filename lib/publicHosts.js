@@ -0,0 +1,104 @@
+// Guards for requests to URLs that visitors hand us - webhook receivers and
+// push subscription endpoints. Outside dev they may only reach public hosts,
+// never loopback, the private network or cloud metadata addresses.
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Dev servers may reach http:// and private addresses (a webhook receiver on
+// localhost); everywhere else only public https hosts
+export const ALLOW_PRIVATE_TARGETS = process.env.NODE_ENV !== 'production';
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges - nothing a receiver should live on
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOSTNAMES = /(^|\.)(localhost|local|internal)$/i;
+
+export function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// "[::1]" -> "::1"
+const bareHostname = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// Whether a parsed URL names a public https host, going by the URL alone.
+// Always true on dev servers.
+export function isPublicUrl(url) {
+    if (ALLOW_PRIVATE_TARGETS) return true;
+
+    const hostname = bareHostname(url);
+    return url.protocol === 'https:' && !BLOCKED_HOSTNAMES.test(hostname) && !isBlockedAddress(hostname);
+}
+
+// The target resolved (or is) a private address
+export class BlockedTargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BlockedTargetError';
+    }
+}
+
+// dns.lookup for outgoing sockets that refuses private addresses. Checking
+// the address the socket is about to connect to - rather than resolving once
+// to check and letting the request resolve again - leaves a rebinding host
+// no gap to switch addresses in.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(new BlockedTargetError(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST `body` to a visitor-supplied URL. Resolves to { status, ok } once the
+// response arrives (the body is discarded) and rejects with a
+// BlockedTargetError when the host is or resolves to a private address.
+// Redirects aren't followed.
+export function postToPublicHost(url, { headers = {}, body = '', timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = bareHostname(target);
+
+        // Literal addresses never go through the lookup
+        if (!ALLOW_PRIVATE_TARGETS && (BLOCKED_HOSTNAMES.test(hostname) || isBlockedAddress(hostname))) {
+            reject(new BlockedTargetError(`${hostname} is not a public host`));
+            return;
+        }
+
+        const client = target.protocol === 'http:' ? http : https;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { 'Content-Length': Buffer.byteLength(body), ...headers },
+            lookup: ALLOW_PRIVATE_TARGETS ? undefined : publicLookup,
+            signal: AbortSignal.timeout(timeoutMs),
+        }, (response) => {
+            response.resume();
+            const status = response.statusCode;
+            resolve({ status, ok: status >= 200 && status < 300 });
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
@@ -0,0 +1,161 @@
+// Push subscriptions and their alert triggers, kept in the local data store
+// (lib/dataStore.js). Updates go through one queue so a subscribe arriving
+// mid-evaluation isn't overwritten.
+import crypto from 'crypto';
+import { readJson, writeJson } from './dataStore';
+import { normalizeTrigger, getTriggerId } from './alertTriggers';
+import { isPublicUrl } from './publicHosts';
+
+const STORE_KEY = 'push/subscriptions';
+
+// Browsers keep a page's subscription list short; so do we
+const MAX_TRIGGERS = 5;
+
+// The subscribe endpoint is open to anyone, so bound what it can add: every
+// stored subscription is pushed to on each evaluation
+const MAX_SUBSCRIPTIONS = 1000;
+const MAX_NEW_PER_CLIENT_PER_HOUR = 10;
+
+// Subscriptions that haven't been saved again (the Alerts tab renews them
+// weekly) or sent a notification in this long are dropped, so abandoned ones
+// don't hold slots that new sign-ups need
+const SUBSCRIPTION_TTL_DAYS = 60;
+
+// Thrown when a new subscription would go over a limit (a 429, not a 400)
+export class SubscriptionLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SubscriptionLimitError';
+    }
+}
+
+let queue = Promise.resolve();
+
+export function listSubscriptions() {
+    return readJson(STORE_KEY, []);
+}
+
+// Apply `update` to the stored list and save the result
+export function updateSubscriptions(update) {
+    const run = queue.then(async () => {
+        const subscriptions = await listSubscriptions();
+        const updated = await update(subscriptions);
+        await writeJson(STORE_KEY, updated);
+        return updated;
+    });
+    // Keep the queue going after a failed update
+    queue = run.catch(() => {});
+    return run;
+}
+
+export function getSubscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 16);
+}
+
+// Sign-ups are counted per client address; only a hash of it is stored
+function getClientId(address) {
+    return crypto.createHash('sha256').update(String(address)).digest('hex').slice(0, 16);
+}
+
+// Last time the subscription was saved or sent a notification
+function getLastActive(subscription) {
+    const times = [subscription.updatedAt, ...Object.values(subscription.state || {}).map(state => state.notifiedAt)]
+        .filter(Boolean)
+        .map(time => new Date(time).getTime());
+    return Math.max(0, ...times);
+}
+
+export function isAbandoned(subscription, now = new Date()) {
+    return now - getLastActive(subscription) > SUBSCRIPTION_TTL_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Check a PushSubscription from the browser. Throws with a message fit for a
+// 400 response.
+export function validateSubscription(subscription) {
+    const { endpoint, keys } = subscription || {};
+
+    if (typeof endpoint !== 'string' || !endpoint.startsWith('https://')) {
+        throw new Error('subscription.endpoint must be an https URL');
+    }
+    // Evaluations POST to the endpoint, so it can't be a way into our network
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        throw new Error('subscription.endpoint must be an https URL');
+    }
+    if (!isPublicUrl(url)) {
+        throw new Error('subscription.endpoint must point at a public host');
+    }
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+        throw new Error('subscription.keys must include p256dh and auth');
+    }
+
+    return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+// Add or replace the subscription for an endpoint. `client` is the address
+// the request came from, for the per-client sign-up limit.
+export async function saveSubscription(subscription, { spot, triggers, client }) {
+    const { endpoint, keys } = validateSubscription(subscription);
+
+    if (!Array.isArray(triggers) || triggers.length === 0) {
+        throw new Error('At least one trigger is required');
+    }
+    if (triggers.length > MAX_TRIGGERS) {
+        throw new Error(`At most ${MAX_TRIGGERS} triggers per subscription`);
+    }
+
+    const normalized = triggers.map(normalizeTrigger).map(trigger => ({ ...trigger, id: getTriggerId(trigger) }));
+    const id = getSubscriptionId(endpoint);
+    const clientId = getClientId(client);
+
+    let saved;
+    await updateSubscriptions(stored => {
+        const now = new Date();
+        const subscriptions = stored.filter(entry => !isAbandoned(entry, now));
+        const existing = subscriptions.find(entry => entry.id === id);
+
+        if (!existing) {
+            if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+                throw new SubscriptionLimitError('Alerts are full right now - try again later');
+            }
+
+            const hourAgo = now.getTime() - 60 * 60 * 1000;
+            const recentFromClient = subscriptions.filter(entry =>
+                entry.client === clientId && new Date(entry.createdAt).getTime() > hourAgo);
+            if (recentFromClient.length >= MAX_NEW_PER_CLIENT_PER_HOUR) {
+                throw new SubscriptionLimitError('Too many new subscriptions from this address - try again later');
+            }
+        }
+
+        saved = {
+            id,
+            endpoint,
+            keys,
+            spot,
+            client: existing?.client || clientId,
+            // Duplicates collapse onto one id
+            triggers: [...new Map(normalized.map(trigger => [trigger.id, trigger])).values()],
+            createdAt: existing?.createdAt || now.toISOString(),
+            updatedAt: now.toISOString(),
+            // Keep trigger state so re-saving doesn't re-fire current alerts
+            state: existing?.state || {},
+        };
+        return [...subscriptions.filter(entry => entry.id !== id), saved];
+    });
+
+    return saved;
+}
+
+export async function removeSubscription(endpoint) {
+    const id = getSubscriptionId(endpoint);
+    let removed = false;
+
+    await updateSubscriptions(subscriptions => {
+        removed = subscriptions.some(entry => entry.id === id);
+        return subscriptions.filter(entry => entry.id !== id);
+    });
+
+    return removed;
+}
@@ -0,0 +1,50 @@
+// Small rule engine for the declarative scoring rules (lib/scoringRules.json).
+//
+// A rule is an outcome plus an optional `when` clause mapping fact names to
+// comparisons, e.g. { "when": { "speed": { "lte": 5 } }, "score": 4 }. All
+// comparisons must hold; a rule without `when` always matches, so it works
+// as the catch-all at the end of a list.
+
+const COMPARATORS = {
+    lt: (value, limit) => value < limit,
+    lte: (value, limit) => value <= limit,
+    gt: (value, limit) => value > limit,
+    gte: (value, limit) => value >= limit,
+    eq: (value, limit) => value === limit,
+};
+
+// Whether every comparison in a `when` clause holds for the facts
+export function matchesRule(rule, facts) {
+    return Object.entries(rule.when || {}).every(([fact, comparisons]) =>
+        Object.entries(comparisons).every(([operator, limit]) => {
+            const compare = COMPARATORS[operator];
+            if (!compare) {
+                throw new Error(`Unknown rule operator "${operator}" for ${fact}`);
+            }
+            return compare(facts[fact], limit);
+        })
+    );
+}
+
+// The first matching rule's outcome (without its `when` clause), or null
+export function evaluateRules(rules, facts) {
+    const rule = rules.find(candidate => matchesRule(candidate, facts));
+    if (!rule) return null;
+
+    const outcome = { ...rule };
+    delete outcome.when;
+    return outcome;
+}
+
+// Weighted sum of factor scores, e.g. { wind: 0.4, swell: 0.4, tide: 0.2 }
+export function weightedScore(scores, weights) {
+    return Object.entries(weights).reduce((sum, [factor, weight]) => sum + scores[factor] * weight, 0);
+}
+
+// Blend an ML prediction (0-10) into a 0-5 score: the prediction is divided
+// down to the score scale, capped, and given `share` of the result
+export function blendPrediction(score, prediction, { share, divisor, max }) {
+    if (prediction === null || prediction === undefined) return score;
+    const normalized = Math.max(0, Math.min(max, prediction / divisor));
+    return score * (1 - share) + normalized * share;
+}
@@ -0,0 +1,46 @@
+// Last-known-good responses. Successful live fetches are saved; when the
+// live fetch fails, the saved copy is served marked `degraded` with the time
+// it was fetched (`asOf`) instead of making data up.
+import { readJson, writeJson } from './dataStore';
+import { getFreshness } from './freshness';
+import { getFetchCount } from './upstream';
+
+// Degraded responses are cached briefly so the live source is retried soon
+export const DEGRADED_CACHE_SECONDS = 60;
+
+// Upstream fetch count when each key was last saved. Until another upstream
+// fetch goes out, a live result is built from the same cached responses as
+// the saved one, so it isn't written again.
+const savedAtFetchCount = new Map();
+
+export async function withLastKnownGood(key, fetchLive) {
+    try {
+        const data = await fetchLive();
+        const fetchCount = getFetchCount();
+        if (savedAtFetchCount.get(key) !== fetchCount) {
+            savedAtFetchCount.set(key, fetchCount);
+            writeJson(`snapshots/${key}`, { savedAt: new Date().toISOString(), data }).catch(error => {
+                console.warn(`Could not save ${key} snapshot:`, error.message);
+            });
+        }
+        return data;
+    } catch (error) {
+        const snapshot = await readJson(`snapshots/${key}`);
+        if (!snapshot) throw error;
+
+        console.warn(`Serving last known good ${key} from ${snapshot.savedAt}:`, error.message);
+
+        // The observation has kept ageing since it was saved
+        const freshness = snapshot.data.timestamp && snapshot.data.staleAfterMinutes
+            ? getFreshness(snapshot.data.timestamp, snapshot.data.staleAfterMinutes)
+            : {};
+
+        return {
+            ...snapshot.data,
+            ...freshness,
+            degraded: true,
+            asOf: snapshot.savedAt,
+            degradedReason: error.message,
+        };
+    }
+}
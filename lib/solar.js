@@ -0,0 +1,73 @@
+// Sunrise, sunset and civil twilight from the standard sunrise equation
+// (accurate to about a minute at our latitude). No external service needed.
+import { OCEAN_BEACH } from './propagation';
+import { getStationDay } from './stationTime';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+
+// Sun's center below the horizon: refraction + solar radius for rise/set,
+// 6° for civil twilight (enough light to see sets without a headlamp)
+const SUNRISE_ZENITH = 90.833;
+const CIVIL_ZENITH = 96;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const julianToDate = (julian) => new Date((julian - UNIX_EPOCH_JD) * DAY_MS);
+
+// day is a station-local calendar date, "2026-10-19"
+export function getSunTimes(day, location = OCEAN_BEACH) {
+    const [year, month, date] = day.split('-').map(Number);
+    const julianNoon = Date.UTC(year, month - 1, date, 12) / DAY_MS + UNIX_EPOCH_JD;
+
+    // Days since J2000 noon, then mean solar time at this longitude (east positive)
+    const n = Math.round(julianNoon - J2000);
+    const meanSolarTime = n - location.lon / 360;
+
+    const meanAnomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const M = toRadians(meanAnomaly);
+    const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+    const eclipticLongitude = toRadians((meanAnomaly + center + 180 + 102.9372) % 360);
+
+    const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(23.4397)));
+    const latitude = toRadians(location.lat);
+
+    // Half the time the sun spends above a given zenith angle, as a Julian day fraction
+    const halfArc = (zenith) => {
+        const cosHourAngle = (Math.cos(toRadians(zenith)) - Math.sin(latitude) * Math.sin(declination)) /
+            (Math.cos(latitude) * Math.cos(declination));
+        return toDegrees(Math.acos(Math.max(-1, Math.min(1, cosHourAngle)))) / 360;
+    };
+
+    return {
+        date: day,
+        civilDawn: julianToDate(transit - halfArc(CIVIL_ZENITH)).toISOString(),
+        sunrise: julianToDate(transit - halfArc(SUNRISE_ZENITH)).toISOString(),
+        solarNoon: julianToDate(transit).toISOString(),
+        sunset: julianToDate(transit + halfArc(SUNRISE_ZENITH)).toISOString(),
+        civilDusk: julianToDate(transit + halfArc(CIVIL_ZENITH)).toISOString(),
+    };
+}
+
+// Surfable light runs from civil dawn to civil dusk
+export function isSurfableLight(at, sunTimes) {
+    const time = new Date(at).getTime();
+    return time >= new Date(sunTimes.civilDawn).getTime() && time <= new Date(sunTimes.civilDusk).getTime();
+}
+
+// Whether there's surfable light right now, when today's light ends and when
+// the next first light (civil dawn) is
+export function getLightStatus(now = new Date(), location = OCEAN_BEACH) {
+    const today = getSunTimes(getStationDay(now), location);
+    const tomorrow = getSunTimes(getStationDay(new Date(now.getTime() + DAY_MS)), location);
+    const beforeDawn = now.getTime() < new Date(today.civilDawn).getTime();
+
+    return {
+        isLight: isSurfableLight(now, today),
+        lastLight: today.civilDusk,
+        firstLight: beforeDawn ? today.civilDawn : tomorrow.civilDawn,
+    };
+}
@@ -0,0 +1,114 @@
+import { getDirectionText } from './compass';
+
+const METERS_TO_FEET = 3.28084;
+
+// Partitions holding less than this share of the total energy are noise
+const MIN_ENERGY_SHARE = 0.05;
+
+// Two peaks whose separating trough is at least this fraction of the smaller
+// peak are treated as one swell train
+const MERGE_TROUGH_RATIO = 0.7;
+
+// Zeroth moment (variance) of a slice of the spectrum
+function spectralMoment(bins) {
+    return bins.reduce((sum, bin) => sum + bin.energy * bin.bandwidth, 0);
+}
+
+function classifySwell(period) {
+    if (period >= 13) return 'groundswell';
+    if (period >= 10) return 'mid-period';
+    return 'windswell';
+}
+
+// Split a 1D frequency spectrum into separate swell trains. Each local maximum
+// of the (lightly smoothed) spectrum seeds a partition bounded by the troughs
+// either side of it; peaks that aren't separated by a real trough are merged.
+export function partitionSpectrum(bins) {
+    if (!bins || bins.length < 3) return [];
+
+    const smoothed = bins.map((bin, i) => {
+        const neighbours = bins.slice(Math.max(0, i - 1), i + 2);
+        return neighbours.reduce((sum, b) => sum + b.energy, 0) / neighbours.length;
+    });
+
+    let peaks = [];
+    for (let i = 0; i < smoothed.length; i++) {
+        const previous = i > 0 ? smoothed[i - 1] : -Infinity;
+        const next = i < smoothed.length - 1 ? smoothed[i + 1] : -Infinity;
+        if (smoothed[i] > 0 && smoothed[i] > previous && smoothed[i] >= next) {
+            peaks.push(i);
+        }
+    }
+
+    // Lowest point between two peaks
+    const troughBetween = (a, b) => {
+        let trough = a;
+        for (let i = a; i <= b; i++) {
+            if (smoothed[i] < smoothed[trough]) trough = i;
+        }
+        return trough;
+    };
+
+    let merged = true;
+    while (merged && peaks.length > 1) {
+        merged = false;
+        for (let i = 0; i < peaks.length - 1; i++) {
+            const trough = smoothed[troughBetween(peaks[i], peaks[i + 1])];
+            const smallerPeak = Math.min(smoothed[peaks[i]], smoothed[peaks[i + 1]]);
+            if (trough >= smallerPeak * MERGE_TROUGH_RATIO) {
+                const keep = smoothed[peaks[i]] >= smoothed[peaks[i + 1]] ? peaks[i] : peaks[i + 1];
+                peaks.splice(i, 2, keep);
+                merged = true;
+                break;
+            }
+        }
+    }
+
+    const totalMoment = spectralMoment(bins);
+    if (totalMoment <= 0) return [];
+
+    const boundaries = peaks.slice(0, -1).map((peak, i) => troughBetween(peak, peaks[i + 1]));
+
+    return peaks
+        .map((peak, i) => {
+            const start = i === 0 ? 0 : boundaries[i - 1] + 1;
+            const end = i === peaks.length - 1 ? bins.length - 1 : boundaries[i];
+            const partition = bins.slice(start, end + 1);
+            const moment = spectralMoment(partition);
+
+            // Use the raw (unsmoothed) peak within the partition for period/direction
+            const peakBin = partition.reduce((best, bin) => bin.energy > best.energy ? bin : best, partition[0]);
+            const period = Math.round((1 / peakBin.frequency) * 10) / 10;
+
+            return {
+                height: Math.round(4 * Math.sqrt(moment) * METERS_TO_FEET * 10) / 10, // Hs in feet
+                period,
+                direction: peakBin.direction,
+                directionText: getDirectionText(peakBin.direction),
+                energyShare: Math.round((moment / totalMoment) * 100) / 100,
+                type: classifySwell(period),
+            };
+        })
+        .filter(swell => swell.energyShare >= MIN_ENERGY_SHARE)
+        .sort((a, b) => b.energyShare - a.energyShare);
+}
+
+// Goda's spectral peakedness (Qp). Narrow, peaky spectra produce strongly
+// grouped waves: long lulls and then consistent sets. Broad spectra are a
+// jumble of waves with little set structure.
+export function calculateGroupiness(bins) {
+    if (!bins || bins.length === 0) return null;
+
+    const m0 = spectralMoment(bins);
+    if (m0 <= 0) return null;
+
+    const weighted = bins.reduce((sum, bin) => sum + bin.frequency * bin.energy * bin.energy * bin.bandwidth, 0);
+    const peakedness = Math.round((2 * weighted / (m0 * m0)) * 100) / 100;
+
+    if (peakedness >= 3.5) {
+        return { peakedness, level: 'high', description: 'well-defined sets with long lulls' };
+    } else if (peakedness >= 2.2) {
+        return { peakedness, level: 'moderate', description: 'fairly consistent sets' };
+    }
+    return { peakedness, level: 'low', description: 'disorganized, inconsistent sets' };
+}
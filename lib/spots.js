@@ -0,0 +1,120 @@
+// Surf spot registry. Each spot knows where it is, which way the beach faces,
+// the tide and swell directions it likes, and which buoys and stations
+// describe it (wind sources are adapter ids from lib/windSources.js).
+// Orientation is the compass direction the beach faces (out to sea), so
+// offshore wind blows from the opposite direction. An optional `voice` picks
+// the summary's phrase templates (lib/templates/, classic by default).
+import { angleBetween } from './compass';
+
+// Wind within this many degrees of straight offshore counts as offshore
+const OFFSHORE_HALF_WIDTH = 45;
+
+export const SPOTS = {
+    'ocean-beach': {
+        slug: 'ocean-beach',
+        name: 'Ocean Beach',
+        area: 'San Francisco',
+        lat: 37.7594,
+        lon: -122.5107,
+        orientation: 270,
+        preferredTide: 'dropping',
+        swellWindow: { from: 190, to: 320 },
+        buoy: '142',
+        tideStation: '9414290',
+        wind: ['nearby', 'FTPC1', 'openweather', 'KSFO', '46026'],
+    },
+    'north-ob': {
+        slug: 'north-ob',
+        name: 'North Ocean Beach',
+        area: 'San Francisco',
+        lat: 37.7700,
+        lon: -122.5112,
+        orientation: 270,
+        preferredTide: 'dropping',
+        swellWindow: { from: 200, to: 320 },
+        buoy: '142',
+        tideStation: '9414290',
+        wind: ['nearby', 'FTPC1', 'openweather', 'KSFO', '46026'],
+    },
+    'kellys-cove': {
+        slug: 'kellys-cove',
+        name: "Kelly's Cove",
+        area: 'San Francisco',
+        lat: 37.7745,
+        lon: -122.5118,
+        // Tucked under Point Lobos, which blocks the more northerly swells
+        orientation: 265,
+        preferredTide: 'dropping',
+        swellWindow: { from: 200, to: 300 },
+        buoy: '142',
+        tideStation: '9414290',
+        wind: ['nearby', 'FTPC1', 'openweather', 'KSFO', '46026'],
+    },
+    sloat: {
+        slug: 'sloat',
+        name: 'Sloat',
+        area: 'San Francisco',
+        lat: 37.7353,
+        lon: -122.5075,
+        orientation: 265,
+        preferredTide: 'dropping',
+        swellWindow: { from: 190, to: 320 },
+        buoy: '142',
+        tideStation: '9414290',
+        wind: ['nearby', 'FTPC1', 'openweather', 'KSFO', '46026'],
+    },
+    'fort-point': {
+        slug: 'fort-point',
+        name: 'Fort Point',
+        area: 'San Francisco',
+        lat: 37.8107,
+        lon: -122.4772,
+        // Inside the Golden Gate: only big W/NW swell wraps in, best on the incoming tide
+        orientation: 340,
+        preferredTide: 'rising',
+        swellWindow: { from: 260, to: 320 },
+        buoy: '142',
+        tideStation: '9414290',
+        wind: ['nearby', 'FTPC1', 'openweather', 'KSFO', '46026'],
+    },
+    'linda-mar': {
+        slug: 'linda-mar',
+        name: 'Linda Mar',
+        area: 'Pacifica',
+        lat: 37.5947,
+        lon: -122.5031,
+        // San Pedro Point shelters the south end from southerly swell
+        orientation: 285,
+        preferredTide: 'any',
+        swellWindow: { from: 240, to: 320 },
+        buoy: '46012',
+        // No harmonic station in Pacifica; SF tides run within minutes of it
+        tideStation: '9414290',
+        wind: ['nearby', 'KHAF', 'openweather', '46012'],
+    },
+};
+
+export const DEFAULT_SPOT = 'ocean-beach';
+
+// Own keys only - query values like "toString" must not match
+export function getSpot(slug = DEFAULT_SPOT) {
+    return Object.hasOwn(SPOTS, slug) ? SPOTS[slug] : null;
+}
+
+// Direction wind blows from when it's straight offshore
+export function getOffshoreDirection(spot) {
+    return (spot.orientation + 180) % 360;
+}
+
+export function isOffshoreWind(direction, spot = SPOTS[DEFAULT_SPOT]) {
+    return angleBetween(direction, getOffshoreDirection(spot)) <= OFFSHORE_HALF_WIDTH;
+}
+
+// Whether swell from a direction can reach the spot (window runs clockwise)
+export function isInSwellWindow(direction, spot = SPOTS[DEFAULT_SPOT]) {
+    const { from, to } = spot.swellWindow;
+    const normalized = ((direction % 360) + 360) % 360;
+    return from <= to
+        ? normalized >= from && normalized <= to
+        : normalized >= from || normalized <= to;
+}
@@ -0,0 +1,60 @@
+// NOAA serves times in station-local time (lst_ldt); keep every conversion
+// to and from the station's wall clock in one place
+export const STATION_TIME_ZONE = 'America/Los_Angeles';
+
+// Formatter construction is slow, so share one across calls
+const stationClockFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: STATION_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+});
+
+// Minutes the station time zone is ahead of UTC at an instant (negative for PST/PDT)
+function getStationOffset(timestamp) {
+    const parts = stationClockFormat.formatToParts(new Date(timestamp));
+    const get = (type) => parseInt(parts.find(part => part.type === type).value);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+    return (wallClockAsUtc - timestamp) / (60 * 1000);
+}
+
+// Station-local calendar date as YYYYMMDD (NOAA begin_date/end_date format)
+export function formatStationDate(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: STATION_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).formatToParts(date);
+    const get = (type) => parts.find(part => part.type === type).value;
+    return `${get('year')}${get('month')}${get('day')}`;
+}
+
+// NOAA "lst_ldt" times ("2026-10-19 06:15") are station-local wall clock
+// times. Parse them as such so the result is right on a UTC server too.
+export function parseStationTime(t) {
+    const [date, time] = t.split(' ');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getStationOffset(asUtc);
+    return new Date(asUtc - offset * 60 * 1000);
+}
+
+// Station-local calendar day as "2026-10-19"
+export function getStationDay(date = new Date()) {
+    const formatted = formatStationDate(date);
+    return `${formatted.slice(0, 4)}-${formatted.slice(4, 6)}-${formatted.slice(6, 8)}`;
+}
+
+// Station-local clock time, "6:52 AM"
+export function formatStationTime(date) {
+    return new Date(date).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: STATION_TIME_ZONE
+    });
+}
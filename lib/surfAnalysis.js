@@ -0,0 +1,305 @@
+// Surf quality analysis shared by the AI summary and the session planner.
+// Each analyzer scores one factor 0-5 for a spot (Ocean Beach by default);
+// calculateOverallQuality blends them. Thresholds, scores and weights live in
+// scoringRules.json so scoring can be tuned and versioned without code changes.
+import { parseStationTime, getStationDay } from './stationTime';
+import { angleBetween } from './compass';
+import { getSpot, isOffshoreWind, isInSwellWindow } from './spots';
+import { matchesRule, evaluateRules, weightedScore, blendPrediction } from './ruleEngine';
+import RULES from './scoringRules.json';
+import { createSeed, renderTemplate } from './templateEngine';
+
+// Wind analysis function. `gust` (kts) is optional; gusts well above the
+// mean wind cost points on top of the speed-based score.
+export function analyzeWind(direction, speed, spot = getSpot(), gust = null) {
+    const directionText = getWindDirectionText(direction);
+    
+    // Offshore depends on which way the spot faces (east wind at Ocean Beach).
+    // Even strong offshore scores better than onshore.
+    const isOffshore = isOffshoreWind(direction, spot);
+    const rule = evaluateRules(isOffshore ? RULES.wind.offshore : RULES.wind.onshore, { speed });
+    
+    // Gust spread (kts above the mean) and gust factor (gust / mean): 6kts
+    // gusting 20 chops the face up far more than a steady 6kts
+    const hasGust = gust !== null && gust !== undefined && gust > speed;
+    const gustSpread = hasGust ? Math.round((gust - speed) * 10) / 10 : 0;
+    const gustFactor = hasGust && speed > 0 ? Math.round((gust / speed) * 100) / 100 : null;
+    const gustRule = hasGust
+        ? evaluateRules(isOffshore ? RULES.wind.gusts.offshore : RULES.wind.gusts.onshore, { gustSpread, gustFactor })
+        : null;
+    
+    const description = gustRule?.description || rule.description;
+    const label = gustRule ? (gustRule.label || gustRule.description) : (rule.label || rule.description);
+    const gustText = hasGust ? ` gusting ${gust}kts` : '';
+    
+    return {
+        quality: gustRule?.quality || rule.quality,
+        description,
+        text: `${speed}kts ${directionText}${gustText} (${label})`,
+        score: Math.max(0, rule.score + (gustRule?.score || 0)),
+        isOffshore,
+        gust: hasGust ? gust : null,
+        gustSpread,
+        gustFactor,
+        isGusty: Boolean(gustRule)
+    };
+}
+
+// Tide analysis function. `now` lets the planner ask about future hours;
+// `voice` picks the phrase templates (lib/templates/).
+export function analyzeTide(tideData, now = new Date(), spot = getSpot(), voice = spot.voice) {
+    if (!tideData?.predictions || tideData.predictions.length < 2) {
+        return {
+            quality: 'unknown',
+            direction: 'unknown',
+            text: 'tide data unavailable',
+            score: RULES.tide.unknown.score, // neutral score when tide data unavailable
+            nextHighTide: null,
+            nextTurn: null,
+            isDropping: false,
+            isPreferred: false,
+            timeToNextHigh: null,
+            timeToTurn: null,
+            surge: null,
+            hasSurge: false
+        };
+    }
+
+    const predictions = tideData.predictions;
+    
+    // Find the current tide trend by looking at recent predictions
+    let currentTideDirection = 'unknown';
+    let nextHighTide = null;
+    let nextTurn = null;
+    let isDropping = false;
+    
+    // Sort predictions by time to find what's happening now
+    const sortedPredictions = predictions
+        .map(p => ({
+            ...p,
+            datetime: parseStationTime(p.t)
+        }))
+        .sort((a, b) => a.datetime - b.datetime);
+    
+    // Find the most recent prediction and the next one
+    const currentIndex = sortedPredictions.findIndex(p => p.datetime > now);
+    
+    if (currentIndex > 0) {
+        const lastTide = sortedPredictions[currentIndex - 1];
+        const nextTide = sortedPredictions[currentIndex];
+        
+        // Determine if tide is dropping (from high to low) or rising (from low to high)
+        if (lastTide.type === 'H' && nextTide.type === 'L') {
+            currentTideDirection = 'dropping';
+            isDropping = true;
+            nextTurn = nextTide;
+        } else if (lastTide.type === 'L' && nextTide.type === 'H') {
+            currentTideDirection = 'rising';
+            nextHighTide = nextTide;
+            nextTurn = nextTide;
+        }
+    }
+    
+    // Find next high tide if we don't have it
+    if (!nextHighTide && currentIndex >= 0) {
+        for (let i = currentIndex; i < sortedPredictions.length; i++) {
+            if (sortedPredictions[i].type === 'H') {
+                nextHighTide = sortedPredictions[i];
+                break;
+            }
+        }
+    }
+    
+    // "3h 20m" until a future tide
+    const timeUntil = (tide) => {
+        if (!tide) return null;
+        const timeDiff = tide.datetime - now;
+        const hours = Math.floor(timeDiff / (1000 * 60 * 60));
+        const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+        return `${hours}h ${minutes}m`;
+    };
+    
+    // Scoring: each spot has a tide it works best on (dropping at Ocean Beach)
+    const isKnown = currentTideDirection !== 'unknown';
+    const isPreferred = isKnown && (spot.preferredTide === 'any' || spot.preferredTide === currentTideDirection);
+    const seed = createSeed(getStationDay(now), spot.slug, currentTideDirection);
+    
+    let rule, description;
+    if (isPreferred && spot.preferredTide === 'any') {
+        rule = RULES.tide.any;
+        description = `${currentTideDirection} (works on any tide)`;
+    } else if (isPreferred) {
+        rule = RULES.tide.preferred;
+        description = `${currentTideDirection} (${renderTemplate('tide.good', { seed, voice })})`;
+    } else if (isKnown) {
+        rule = RULES.tide.other;
+        description = `${currentTideDirection} (${renderTemplate(`tide.wait.${currentTideDirection}`, { seed, voice })})`;
+    } else {
+        rule = RULES.tide.unknown;
+        description = 'direction unclear';
+    }
+    const { score, quality } = rule;
+    
+    // Flag storm surge: the real water level can sit a foot or more off the
+    // astronomical prediction, which shifts how the tide plays at OB
+    const surge = tideData.surge || null;
+    // A gauge that's stopped reporting says nothing about the water right now
+    const hasSurge = surge?.level === 'significant' && !surge.stale;
+    const surgeText = hasSurge
+        ? ` (${surge.residual > 0 ? '+' : ''}${surge.residual.toFixed(1)}ft storm surge)`
+        : '';
+    
+    return {
+        quality,
+        direction: currentTideDirection,
+        text: `tide ${description}${surgeText}`,
+        score,
+        nextHighTide,
+        nextTurn,
+        isDropping,
+        isPreferred,
+        timeToNextHigh: timeUntil(nextHighTide),
+        timeToTurn: timeUntil(nextTurn),
+        surge,
+        hasSurge
+    };
+}
+
+// Swell analysis function
+// Scores a single swell train by height and period
+function scoreSwell(height, period) {
+    const rule = evaluateRules(RULES.swell.trains, { height, period });
+    return {
+        quality: rule.quality,
+        description: rule.description,
+        text: `${height}ft @ ${period}s (${rule.label || rule.description})`,
+        score: rule.score,
+        type: rule.type
+    };
+}
+
+// Reasons about the primary and secondary swell trains when the buoy spectrum
+// has been partitioned, falling back to the bulk height/period otherwise
+export function analyzeSwell(height, period, swells = [], groupiness = null, spot = getSpot()) {
+    const [primary, secondary] = swells || [];
+
+    if (!primary) {
+        return { ...scoreSwell(height, period), primary: null, secondary: null, groupiness };
+    }
+
+    // Quality is set by the dominant train, not the combined sea state
+    const primaryAnalysis = scoreSwell(primary.height, primary.period);
+    let score = primaryAnalysis.score;
+    let description = primaryAnalysis.description;
+
+    const { groundswellUnderneath, crossed, outsideWindow } = RULES.swell.adjustments;
+
+    if (secondary) {
+        const secondaryText = `${secondary.height}ft ${secondary.directionText} @ ${secondary.period}s`;
+        const isCrossed = secondary.direction !== null && primary.direction !== null &&
+            angleBetween(primary.direction, secondary.direction) > crossed.minAngle;
+
+        if (secondary.type === 'groundswell' && primary.type !== 'groundswell' && secondary.height >= groundswellUnderneath.minHeight) {
+            // Long-period energy underneath the windswell brings real sets
+            score = Math.min(5, score + groundswellUnderneath.score);
+            description = `${description} + ${secondaryText} groundswell underneath`;
+        } else if (isCrossed && secondary.height >= primary.height * crossed.minHeightRatio) {
+            // Two comparable swells from different angles make for shifty, crossed-up peaks
+            score = Math.max(0, score + crossed.score);
+            description = `${description}, crossed-up by ${secondaryText}`;
+        } else {
+            description = `${description} + ${secondaryText}`;
+        }
+    }
+
+    // Swell from outside the spot's window is blocked or wraps in much smaller
+    if (primary.direction !== null && primary.direction !== undefined && !isInSwellWindow(primary.direction, spot)) {
+        score = Math.max(0, score + outsideWindow.score);
+        description = `${description}, ${primary.directionText} is outside the swell window`;
+    }
+
+    return {
+        quality: primaryAnalysis.quality,
+        description,
+        text: `${height}ft @ ${period}s (${description})`,
+        score,
+        type: primaryAnalysis.type,
+        primary,
+        secondary: secondary || null,
+        groupiness
+    };
+}
+
+// Calculate overall surf quality with tide weighting and ML prediction
+export function calculateOverallQuality(windAnalysis, swellAnalysis, tideAnalysis, predictionScore = null) {
+    const hasMLPrediction = predictionScore !== null && predictionScore !== undefined;
+    const scores = { wind: windAnalysis.score, swell: swellAnalysis.score, tide: tideAnalysis.score };
+    
+    // WIND OVERRIDE: strong or gusty onshore wind, or howling offshore puffs,
+    // cap (or flatten) the score regardless of how good swell or tide might be
+    const override = evaluateRules(RULES.overall.windOverride, {
+        windScore: windAnalysis.score,
+        isOffshore: windAnalysis.isOffshore,
+        gust: windAnalysis.gust ?? null,
+        gustSpread: windAnalysis.gustSpread ?? 0
+    });
+    
+    if (override) {
+        let combinedScore = override.score;
+        if (override.weights) {
+            combinedScore = Math.min(override.maxScore, weightedScore(scores, override.weights));
+            combinedScore = Math.min(override.maxScore, blendPrediction(combinedScore, predictionScore, override.ml));
+        }
+        
+        const level = evaluateRules(override.levels, { score: combinedScore });
+        return {
+            quality: level.quality,
+            emoji: level.emoji,
+            confidence: override.confidence,
+            score: combinedScore,
+            isFiring: false,
+            hasMLPrediction,
+            windOverride: true,
+            overrideTemplate: override.template || level.quality,
+            rulesVersion: RULES.version
+        };
+    }
+    
+    // Normal calculation when wind is manageable, with the ML prediction
+    // (typically 0-10) blended in when available
+    const combinedScore = blendPrediction(weightedScore(scores, RULES.overall.weights), predictionScore, RULES.overall.ml);
+    
+    // Check for FIRING conditions: big long-period swell on the spot's preferred tide
+    const waveHeight = parseFloat(swellAnalysis.text.match(/[\d.]+/)?.[0]) || 0;
+    const wavePeriod = parseFloat(swellAnalysis.text.match(/@ ([\d.]+)s/)?.[1]) || 0;
+    const isFiring = matchesRule(RULES.overall.firing, {
+        height: waveHeight,
+        period: wavePeriod,
+        isPreferredTide: tideAnalysis.isPreferred
+    });
+    
+    const level = isFiring ? RULES.overall.firing : evaluateRules(RULES.overall.levels, { score: combinedScore });
+    
+    return {
+        quality: level.quality,
+        emoji: level.emoji,
+        confidence: hasMLPrediction ? level.confidence.withML : level.confidence.withoutML,
+        score: combinedScore,
+        isFiring,
+        hasMLPrediction,
+        rulesVersion: RULES.version
+    };
+}
+
+// Helper function to get wind direction text
+function getWindDirectionText(degrees) {
+    if (degrees >= 337.5 || degrees < 22.5) return 'N';
+    if (degrees >= 22.5 && degrees < 67.5) return 'NE';
+    if (degrees >= 67.5 && degrees < 112.5) return 'E';
+    if (degrees >= 112.5 && degrees < 157.5) return 'SE';
+    if (degrees >= 157.5 && degrees < 202.5) return 'S';
+    if (degrees >= 202.5 && degrees < 247.5) return 'SW';
+    if (degrees >= 247.5 && degrees < 292.5) return 'W';
+    if (degrees >= 292.5 && degrees < 337.5) return 'NW';
+    return 'N/A';
+}
@@ -0,0 +1,210 @@
+// Turns buoy, wind and tide data into the surf AI summary. Runs in the
+// browser for live updates and on the server so pages ship with a summary.
+import { getWaterTempAnomaly } from './wetsuit';
+import { getLightStatus } from './solar';
+import { analyzeWind, analyzeTide, analyzeSwell, calculateOverallQuality } from './surfAnalysis';
+import { parseStationTime, formatStationTime, getStationDay } from './stationTime';
+import { createSeed, renderTemplate } from './templateEngine';
+import { getSpot } from './spots';
+import { evaluateRules } from './ruleEngine';
+import RULES from './scoringRules.json';
+
+// Analyze current conditions and write the summary. Needs buoy and wind data;
+// tide, temperature and the ML prediction are optional. The wording comes
+// from the spot's template voice unless `voice` names another.
+export function summarizeConditions({ buoyData, windData, tideData, temperatureData = null, predictionScore = null, predictionLoading = false, spot = getSpot(), voice = spot.voice, now = new Date() }) {
+    // Parse data
+    const waveHeight = parseFloat(buoyData.Hs) || 0;
+    const wavePeriod = parseFloat(buoyData.Tp) || 0;
+    const waveDirection = parseInt(buoyData.Dp) || 0;
+    const windSpeed = parseFloat(windData.speed) || 0;
+    const windDirection = windData.direction || 0;
+    const windGust = parseFloat(windData.gust) || null;
+
+    // Wind analysis
+    const windAnalysis = analyzeWind(windDirection, windSpeed, spot, windGust);
+    
+    // Swell analysis (primary and secondary trains from the buoy spectrum)
+    const swellAnalysis = analyzeSwell(waveHeight, wavePeriod, buoyData.swells, buoyData.groupiness, spot);
+    
+    // Tide analysis
+    const tideAnalysis = analyzeTide(tideData, now, spot, voice);
+    
+    // Civil dawn to dusk - only point people at windows they can see in
+    const light = getLightStatus(now, spot);
+    
+    // Combined surf quality assessment with tide weighting
+    const overallQuality = calculateOverallQuality(windAnalysis, swellAnalysis, tideAnalysis, predictionScore);
+    
+    // Readings served from the last-known-good snapshot, or too old to
+    // describe the water now, count for less
+    const untrusted = getUntrustedReadings({ buoy: buoyData, wind: windData });
+    const { confidencePenalty, minConfidence } = RULES.overall.degraded;
+    
+    // So do wind sources that disagree with each other (lib/windQc.js)
+    const agreement = windData.agreement?.score;
+    const disagreement = agreement !== null && agreement !== undefined
+        ? evaluateRules(RULES.overall.windAgreement, { agreement })
+        : null;
+    
+    const confidence = Math.max(minConfidence,
+        overallQuality.confidence - confidencePenalty * untrusted.length - (disagreement?.confidencePenalty || 0));
+    
+    // Same day and conditions, same wording - the summary only changes
+    // when the surf does, for every visitor
+    const seed = createSeed(getStationDay(now), spot.slug, overallQuality.quality, windAnalysis.description, swellAnalysis.description, tideAnalysis.direction);
+    
+    // Generate AI summary with tide considerations and ML prediction
+    const summary = generateSummary(windAnalysis, swellAnalysis, tideAnalysis, overallQuality, {
+        waveHeight,
+        wavePeriod,
+        windSpeed,
+        windDirection,
+        waterTemp: temperatureData?.waterTemp ?? null,
+        wetsuit: temperatureData?.wetsuit ?? null,
+        predictionScore,
+        predictionLoading,
+        light,
+        seed,
+        voice
+    }) + getUntrustedContext(untrusted);
+
+    return {
+        summary,
+        quality: overallQuality.quality,
+        emoji: overallQuality.emoji,
+        confidence,
+        predictionScore,
+        degraded: untrusted.map(({ name }) => name),
+        details: {
+            wind: windAnalysis,
+            swell: swellAnalysis,
+            tide: tideAnalysis,
+            mlPrediction: predictionScore
+        }
+    };
+}
+
+// Generate AI summary text
+function generateSummary(windAnalysis, swellAnalysis, tideAnalysis, overallQuality, data) {
+    const { waterTemp, wetsuit, predictionScore, predictionLoading, light, seed, voice } = data;
+    
+    // Only mention the water when it's outside its usual range
+    const tempContext = getTemperatureContext(waterTemp, wetsuit);
+    
+    const values = { wind: windAnalysis, swell: swellAnalysis, tide: tideAnalysis };
+    
+    // WIND OVERRIDE: Special messages when wind ruins otherwise good conditions
+    if (overallQuality.windOverride) {
+        let baseMessage = renderTemplate(`windOverride.${overallQuality.overrideTemplate}`, {
+            seed,
+            voice,
+            fallback: 'windOverride.terrible',
+            values
+        }) + tempContext;
+        
+        // Add ML context if available
+        if (predictionLoading) {
+            baseMessage += ' 🧠 ML confirms: wind matters most...';
+        } else if (predictionScore !== null && predictionScore !== undefined) {
+            const mlScore = Math.round(predictionScore * 10) / 10;
+            baseMessage += ` 🧠 ML agrees: wind-limited (${mlScore}/10)`;
+        }
+        
+        return baseMessage;
+    }
+    
+    // Special handling for tide-dependent recommendations
+    const tideRecommendation = getTideRecommendation(tideAnalysis, windAnalysis, swellAnalysis, light, seed, voice);
+    
+    // Add ML prediction context if available
+    let mlContext = '';
+    if (predictionLoading) {
+        mlContext = ' 🧠 Crunching ML data...';
+    } else if (predictionScore !== null && predictionScore !== undefined) {
+        const mlScore = Math.round(predictionScore * 10) / 10;
+        if (mlScore >= 7) {
+            mlContext = ` 🧠 ML confidence: HIGH (${mlScore}/10)`;
+        } else if (mlScore >= 4) {
+            mlContext = ` 🧠 ML says: moderate (${mlScore}/10)`;
+        } else {
+            mlContext = ` 🧠 ML caution: ${mlScore}/10`;
+        }
+    }
+    
+    // Firing conditions after dark - don't send anyone out at night
+    const summaryKey = overallQuality.quality === 'firing' && light && !light.isLight ? 'firingDark' : overallQuality.quality;
+    const summary = renderTemplate(`summary.${summaryKey}`, {
+        seed,
+        voice,
+        fallback: 'summary.fair',
+        values: { ...values, recommendation: tideRecommendation, ml: mlContext }
+    });
+    return summary + tempContext;
+}
+
+// Inputs that are degraded (live fetch failed) or stale, oldest reading first
+function getUntrustedReadings(readings) {
+    return Object.entries(readings)
+        .filter(([, data]) => data?.degraded || data?.stale)
+        .map(([name, data]) => ({ name, measuredAt: data.timestamp || data.asOf || null }))
+        .sort((a, b) => new Date(a.measuredAt) - new Date(b.measuredAt));
+}
+
+// Tell people when the call is built on old readings
+function getUntrustedContext(untrusted) {
+    if (untrusted.length === 0) return '';
+    
+    const readings = untrusted.map(({ name, measuredAt }) =>
+        measuredAt ? `${name} reading from ${formatStationTime(measuredAt)}` : `${name} reading`
+    );
+    return ` ⚠️ Going off the last known ${readings.join(' and ')} - the live feed is down or behind, so take this call with a grain of salt.`;
+}
+
+// Water temperature call-out for unusually cold or warm water
+function getTemperatureContext(waterTemp, wetsuit) {
+    const anomaly = getWaterTempAnomaly(waterTemp);
+    const suitText = wetsuit ? ` - ${wetsuit.text} day` : '';
+    
+    if (anomaly === 'cold') {
+        return ` 🥶 Water's frigid at ${Math.round(waterTemp)}°F${suitText}!`;
+    } else if (anomaly === 'warm') {
+        return ` 🌡️ Water's unusually warm at ${Math.round(waterTemp)}°F${suitText}!`;
+    }
+    return '';
+}
+
+// Generate tide-specific recommendations, only pointing at windows with
+// surfable light (civil dawn to civil dusk)
+function getTideRecommendation(tideAnalysis, windAnalysis, swellAnalysis, light = null, seed = 0, voice) {
+    if (light && !light.isLight) {
+        return `It's dark out - first light at ${formatStationTime(light.firstLight)}.`;
+    }
+    
+    if (tideAnalysis.direction === 'unknown') {
+        return 'Monitor tide changes for optimal timing.';
+    }
+    
+    if (tideAnalysis.isPreferred) {
+        return renderTemplate('recommendation.perfectTiming', { seed, voice });
+    }
+    
+    // Wrong tide for the spot - the turn brings the tide it likes
+    if (tideAnalysis.nextTurn && tideAnalysis.timeToTurn) {
+        const turnTime = tideAnalysis.nextTurn.t.split(' ')[1]; // Extract time
+        
+        // Tide turns after dark - the next usable window is dawn patrol
+        if (light && parseStationTime(tideAnalysis.nextTurn.t) > new Date(light.lastLight)) {
+            return `Tide turns at ${turnTime}, after dark - plan a dawn patrol (first light ${formatStationTime(light.firstLight)}).`;
+        }
+        
+        // If conditions are otherwise good, recommend waiting
+        if (windAnalysis.score >= 3.5 && swellAnalysis.score >= 3.5) {
+            return `Consider waiting - tide turns at ${turnTime} (in ${tideAnalysis.timeToTurn}).`;
+        } else {
+            return `Tide ${tideAnalysis.direction} (turns at ${turnTime}) - better surf after the turn.`;
+        }
+    }
+    
+    return 'Check tide timing for optimal conditions.';
+}
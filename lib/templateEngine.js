@@ -0,0 +1,49 @@
+// Deterministic phrase templates. Variants are picked with a seed built from
+// the day and the conditions, so everyone sees the same summary and it only
+// changes when the surf (or the date) does. Templates live in lib/templates/.
+import { VOICES, DEFAULT_VOICE } from './templates';
+
+// 32-bit FNV-1a hash of the seed parts
+export function createSeed(...parts) {
+    const input = parts.join('|');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Same seed, same variant. The key is mixed in so phrases picked with one
+// seed don't all land on the same index.
+export function pickVariant(variants, seed, key = '') {
+    return variants[createSeed(seed, key) % variants.length];
+}
+
+// Look up a dotted path ("swell.text") in the template values
+function resolveValue(values, path) {
+    return path.split('.').reduce((value, part) => value?.[part], values);
+}
+
+// Fill {placeholders}; missing or empty values render as the default after a
+// pipe ("{recommendation|Check the cam}") or as empty strings
+export function fillTemplate(template, values = {}) {
+    return template.replace(/\{([\w.]+)(?:\|([^}]*))?\}/g, (_, path, fallback = '') => {
+        const value = resolveValue(values, path);
+        return value === undefined || value === null || value === '' ? fallback : value;
+    });
+}
+
+// Pick and fill a template variant, e.g. renderTemplate('summary.good', { seed, values }).
+// `fallback` names the key to use when the voice has no templates for `key`.
+export function renderTemplate(key, { seed, values = {}, voice = DEFAULT_VOICE, fallback } = {}) {
+    const templates = VOICES[voice] || VOICES[DEFAULT_VOICE];
+    let variants = resolveValue(templates, key);
+    if (!Array.isArray(variants) && fallback) {
+        variants = resolveValue(templates, fallback);
+    }
+    if (!Array.isArray(variants) || variants.length === 0) {
+        throw new Error(`No "${key}" templates in voice "${voice}"`);
+    }
+    return fillTemplate(pickVariant(variants, seed, key), values);
+}
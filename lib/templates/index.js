@@ -0,0 +1,10 @@
+// Phrase template voices for the surf summary. Each voice is a JSON file with
+// the same keys as classic.json; add a file, register it here and give a spot
+// `voice: '<name>'` in lib/spots.js to use it.
+import classic from './classic.json';
+
+export const VOICES = {
+    classic,
+};
+
+export const DEFAULT_VOICE = 'classic';
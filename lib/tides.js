@@ -0,0 +1,272 @@
+// NOAA CO-OPS tide helpers for the San Francisco (Golden Gate) station
+import { parseStationTime, formatStationDate } from './stationTime';
+import { getSunTimes } from './solar';
+import { upstreamFetch } from './upstream';
+import { getFreshness, STALE_AFTER_MINUTES } from './freshness';
+
+export const TIDE_STATION = '9414290';
+
+// Intervals NOAA supports for the continuous prediction curve
+export const CURVE_INTERVALS = ['6', 'h'];
+
+// Longest range the tide API will request in one go
+export const MAX_RANGE_DAYS = 14;
+
+export function buildTidesUrl({ beginDate, endDate, interval = 'hilo', station = TIDE_STATION }) {
+    return `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=predictions&application=obsuf_surf_app&begin_date=${beginDate}&end_date=${endDate}&datum=MLLW&station=${station}&time_zone=lst_ldt&units=english&interval=${interval}&format=json`;
+}
+
+// Observed (measured) water level, 6-minute samples
+export function buildWaterLevelUrl({ beginDate, endDate, station = TIDE_STATION }) {
+    return `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?product=water_level&application=obsuf_surf_app&begin_date=${beginDate}&end_date=${endDate}&datum=MLLW&station=${station}&time_zone=lst_ldt&units=english&format=json`;
+}
+
+// Residual (observed minus predicted) thresholds in feet
+const SURGE_ELEVATED_FT = 0.5;
+const SURGE_SIGNIFICANT_FT = 1.0;
+
+// "20261019" -> Date at noon UTC on that day (safe for adding whole days)
+function parseDateParam(value) {
+    if (!/^\d{8}$/.test(value || '')) return null;
+    const date = new Date(Date.UTC(parseInt(value.slice(0, 4)), parseInt(value.slice(4, 6)) - 1, parseInt(value.slice(6, 8)), 12));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function formatDateParam(date) {
+    return date.toISOString().split('T')[0].replace(/-/g, '');
+}
+
+// Resolve begin/end (YYYYMMDD) or days query params into a capped range.
+// Defaults to yesterday through tomorrow.
+export function resolveDateRange({ begin, end, days } = {}, now = new Date()) {
+    const today = parseDateParam(formatStationDate(now));
+
+    let beginDate, endDate;
+    if (parseDateParam(begin)) {
+        beginDate = parseDateParam(begin);
+        endDate = parseDateParam(end) || beginDate;
+        if (endDate < beginDate) endDate = beginDate;
+    } else if (days !== undefined) {
+        const dayCount = Math.max(1, Math.min(MAX_RANGE_DAYS, parseInt(days) || 1));
+        beginDate = today;
+        endDate = addDays(today, dayCount - 1);
+    } else {
+        beginDate = addDays(today, -1);
+        endDate = addDays(today, 1);
+    }
+
+    // Cap the span so one request can't pull months of 6-minute data
+    if (endDate > addDays(beginDate, MAX_RANGE_DAYS - 1)) {
+        endDate = addDays(beginDate, MAX_RANGE_DAYS - 1);
+    }
+
+    return {
+        beginDate: formatDateParam(beginDate),
+        endDate: formatDateParam(endDate),
+        days: Math.round((endDate - beginDate) / (24 * 60 * 60 * 1000)) + 1,
+    };
+}
+
+// Station-local days ("2026-10-19") covered by a resolved range
+export function listRangeDays({ beginDate, days }) {
+    const begin = parseDateParam(beginDate);
+    return Array.from({ length: days }, (_, i) => formatDateParam(addDays(begin, i)))
+        .map(value => `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`);
+}
+
+// Parse a prediction curve once into [{ time, value }]
+function toCurvePoints(curve) {
+    return curve.map(point => ({
+        time: parseStationTime(point.t).getTime(),
+        value: parseFloat(point.v),
+    }));
+}
+
+function interpolatePoints(points, at) {
+    const target = at.getTime();
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const before = points[i];
+        const after = points[i + 1];
+        if (target >= before.time && target <= after.time) {
+            const span = after.time - before.time;
+            const ratio = span > 0 ? (target - before.time) / span : 0;
+            const height = before.value + (after.value - before.value) * ratio;
+            const rate = span > 0 ? (after.value - before.value) / (span / (60 * 60 * 1000)) : 0;
+
+            return {
+                time: at.toISOString(),
+                height: Math.round(height * 100) / 100, // ft above MLLW
+                rate: Math.round(rate * 100) / 100, // ft per hour
+                direction: rate > 0 ? 'rising' : rate < 0 ? 'falling' : 'slack',
+            };
+        }
+    }
+
+    return null;
+}
+
+// Linear interpolation of the prediction curve at a moment, plus the rate of
+// change in ft/hr. Returns null when the moment is outside the curve.
+export function interpolateTide(curve, at = new Date()) {
+    if (!curve || curve.length < 2) return null;
+    return interpolatePoints(toCurvePoints(curve), at);
+}
+
+// Best dropping-tide (high -> low) window within surfable light (civil dawn
+// to civil dusk) on a station-local day ("2026-10-19"). Windows that start
+// the evening before still count.
+export function findDroppingWindow(predictions, day, sunTimes = getSunTimes(day)) {
+    if (!predictions || predictions.length < 2) return null;
+
+    const dayStart = new Date(sunTimes.civilDawn).getTime();
+    const dayEnd = new Date(sunTimes.civilDusk).getTime();
+
+    const points = predictions
+        .map(prediction => ({ ...prediction, time: parseStationTime(prediction.t).getTime() }))
+        .sort((a, b) => a.time - b.time);
+
+    let best = null;
+    for (let i = 0; i < points.length - 1; i++) {
+        const high = points[i];
+        const low = points[i + 1];
+        if (high.type !== 'H' || low.type !== 'L') continue;
+
+        const start = Math.max(high.time, dayStart);
+        const end = Math.min(low.time, dayEnd);
+        const minutes = Math.round((end - start) / (60 * 1000));
+
+        if (minutes > 0 && (!best || minutes > best.minutes)) {
+            best = {
+                start: new Date(start).toISOString(),
+                end: new Date(end).toISOString(),
+                minutes,
+                high: parseFloat(high.v),
+                low: parseFloat(low.v),
+            };
+        }
+    }
+
+    return best;
+}
+
+// Pair each observed water level with the predicted curve at the same moment.
+// The residual is mostly storm surge (pressure and wind setup).
+export function calculateResiduals(observed, curve) {
+    if (!observed || !curve || curve.length < 2) return [];
+
+    const points = toCurvePoints(curve);
+
+    return observed
+        .filter(point => point.v !== '' && point.v !== null && point.v !== undefined)
+        .map(point => {
+            const predicted = interpolatePoints(points, parseStationTime(point.t));
+            if (!predicted) return null;
+
+            const value = parseFloat(point.v);
+            return {
+                t: point.t,
+                observed: value,
+                predicted: predicted.height,
+                residual: Math.round((value - predicted.height) * 100) / 100,
+            };
+        })
+        .filter(point => point !== null);
+}
+
+// Summarize the latest residual as a surge level
+export function classifySurge(residuals) {
+    if (!residuals || residuals.length === 0) return null;
+
+    const latest = residuals[residuals.length - 1];
+    const magnitude = Math.abs(latest.residual);
+
+    let level = 'normal';
+    if (magnitude >= SURGE_SIGNIFICANT_FT) {
+        level = 'significant';
+    } else if (magnitude >= SURGE_ELEVATED_FT) {
+        level = 'elevated';
+    }
+
+    return {
+        ...latest,
+        level,
+        direction: latest.residual >= 0 ? 'above' : 'below',
+    };
+}
+
+// The range and curve interval a /api/tide query asks for. Yesterday through
+// tomorrow by default, or the requested begin/end or number of days (capped at
+// MAX_RANGE_DAYS). `pinned` is set when the range is fixed by begin/end dates
+// rather than relative to today.
+export function resolveTideQuery(query = {}, now = new Date()) {
+    const range = resolveDateRange(query, now);
+
+    // Multi-day ranges default to the hourly curve to keep responses small
+    const defaultInterval = range.days > 3 ? 'h' : '6';
+    const interval = CURVE_INTERVALS.includes(query.interval) ? query.interval : defaultInterval;
+
+    return { ...range, interval, pinned: Boolean(parseDateParam(query.begin)) };
+}
+
+// Hi/lo predictions for a spot's tide station plus the prediction curve,
+// observed surge and sun times. `query` takes the same begin/end/days/interval
+// options as /api/tide. Throws when the hi/lo predictions can't be fetched.
+export async function fetchTideData(spot, query = {}) {
+    const { beginDate, endDate, days, interval } = resolveTideQuery(query);
+
+    // High/low predictions for the table, plus a continuous prediction
+    // curve (6-minute or hourly) for the chart and current height
+    const station = spot.tideStation;
+    const hiloUrl = buildTidesUrl({ beginDate, endDate, interval: 'hilo', station });
+    const curveUrl = buildTidesUrl({ beginDate, endDate, interval, station });
+
+    const waterLevelUrl = buildWaterLevelUrl({ beginDate, endDate, station });
+
+    const [hilo, curveData, waterLevelData] = await Promise.all([
+        upstreamFetch('noaa', hiloUrl),
+        upstreamFetch('noaa', curveUrl).catch(error => {
+            console.error('Tide curve fetch failed:', error);
+            return null;
+        }),
+        // Observed water level only exists up to now; future ranges return an error body
+        upstreamFetch('noaa', waterLevelUrl).catch(error => {
+            console.error('Water level fetch failed:', error);
+            return null;
+        }),
+    ]);
+
+    // The curve is an enhancement - the hi/lo predictions still work without it
+    const curve = curveData?.predictions || null;
+
+    // Observed minus predicted water level (storm surge anomaly)
+    const observed = waterLevelData ? calculateResiduals(waterLevelData.data, curve) : [];
+
+    // The surge comes from the latest water level, so flag it when the gauge
+    // has stopped reporting
+    let surge = classifySurge(observed);
+    if (surge) {
+        const timestamp = parseStationTime(surge.t).toISOString();
+        surge = { ...surge, timestamp, ...getFreshness(timestamp, STALE_AFTER_MINUTES.noaa) };
+    }
+
+    // A new object rather than additions to the upstream response - every
+    // spot shares the same tide station URLs
+    return {
+        ...hilo,
+        curve,
+        interval: curve ? interval : null,
+        current: interpolateTide(curve),
+        range: { begin: beginDate, end: endDate, days },
+        spot: spot.slug,
+        station,
+        // Sunrise/sunset and civil twilight for each day, calculated locally
+        sun: listRangeDays({ beginDate, days }).map(day => getSunTimes(day, spot)),
+        observed,
+        surge,
+    };
+}
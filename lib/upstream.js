@@ -0,0 +1,236 @@
+// Shared client for the upstream data sources (CDIP, NDBC, NOAA CO-OPS, NWS,
+// OpenWeatherMap, Synoptic and the prediction/validation services). Every API route
+// fetches through here for per-source timeouts, retries with backoff, an
+// in-process stale-while-revalidate cache and a circuit breaker that stops
+// hammering a source while it's down.
+
+const USER_AGENT = 'obsuf.surf/2.0 (contact@obsuf.surf)';
+
+// Per-source settings. `ttl` is how many seconds a cached response is fresh;
+// for `stale` seconds after that it's still served while a refresh runs in
+// the background. A ttl of 0 disables caching (POSTs are never cached).
+export const SOURCES = {
+    cdip: { name: 'CDIP', timeoutMs: 8000, retries: 2, ttl: 600, stale: 1800 },
+    // NDBC's own CDN can serve old realtime2 files, so bust it on every request
+    ndbc: { name: 'NDBC', timeoutMs: 8000, retries: 2, ttl: 600, stale: 1800, cacheBust: true },
+    noaa: { name: 'NOAA CO-OPS', timeoutMs: 8000, retries: 2, ttl: 600, stale: 3600 },
+    nws: { name: 'NWS', timeoutMs: 8000, retries: 2, ttl: 600, stale: 1800, headers: { 'Accept': 'application/geo+json' } },
+    openweather: { name: 'OpenWeatherMap', timeoutMs: 5000, retries: 1, ttl: 300, stale: 900 },
+    synoptic: { name: 'Synoptic', timeoutMs: 8000, retries: 1, ttl: 300, stale: 900 },
+    predict: { name: 'Prediction service', timeoutMs: 10000, retries: 1, ttl: 0 },
+    openai: { name: 'OpenAI', timeoutMs: 15000, retries: 0, ttl: 0 },
+};
+
+// First retry waits this long, doubling for each attempt after
+const BACKOFF_MS = 300;
+
+// Consecutive failed requests before a source's circuit opens, and how long
+// it stays open before a single trial request is let through
+const FAILURE_THRESHOLD = 5;
+const OPEN_MS = 60 * 1000;
+
+export class UpstreamError extends Error {
+    constructor(message, { source, status = null, retryable = false, outage = true } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.source = source;
+        this.status = status;
+        this.retryable = retryable;
+        // Whether the failure says the source is down (counts toward the circuit breaker)
+        this.outage = outage;
+    }
+}
+
+// Default cache store. Anything with get(key), set(key, entry) and
+// delete(key) works in its place - sync or async - e.g. a Redis or KV wrapper.
+export class MemoryStore {
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    set(key, entry) {
+        // Re-insert so the Map's order tracks recency, then drop the oldest
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+let cacheStore = new MemoryStore();
+
+export function setCacheStore(store) {
+    cacheStore = store;
+}
+
+// Refreshes already in flight, so concurrent requests share one upstream call
+const inflight = new Map();
+
+// Responses fetched from upstream so far, as opposed to served from the
+// cache. Snapshots use it to skip re-saving data that can't have changed.
+let fetchCount = 0;
+
+export function getFetchCount() {
+    return fetchCount;
+}
+
+// Circuit state per source: closed (normal), open (failing fast) or half-open
+// (one trial request in flight)
+const circuits = new Map();
+
+function getCircuit(sourceName) {
+    if (!circuits.has(sourceName)) {
+        circuits.set(sourceName, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+    }
+    return circuits.get(sourceName);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function attemptFetch(source, url, { method, headers, body, as }) {
+    const target = source.cacheBust ? `${url}${url.includes('?') ? '&' : '?'}_=${Date.now()}` : url;
+
+    let response;
+    try {
+        response = await fetch(target, {
+            method,
+            body,
+            headers: { 'User-Agent': USER_AGENT, ...source.headers, ...headers },
+            signal: AbortSignal.timeout(source.timeoutMs),
+        });
+    } catch (error) {
+        const message = error.name === 'TimeoutError'
+            ? `${source.name} timed out after ${source.timeoutMs}ms`
+            : `${source.name} request failed: ${error.message}`;
+        throw new UpstreamError(message, { source: source.name, retryable: true });
+    }
+
+    if (!response.ok) {
+        const { status } = response;
+        // Rate limits and server errors are worth retrying; other 4xx mean
+        // the request itself was bad, not that the source is down
+        const retryable = status === 429 || status >= 500;
+        throw new UpstreamError(`HTTP error! status: ${status}`, {
+            source: source.name,
+            status,
+            retryable,
+            outage: retryable,
+        });
+    }
+
+    return as === 'text' ? response.text() : response.json();
+}
+
+async function fetchWithRetry(source, url, options) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await attemptFetch(source, url, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= source.retries) throw error;
+            await sleep(BACKOFF_MS * 2 ** attempt);
+        }
+    }
+}
+
+// Run a request through the source's circuit breaker
+async function guarded(sourceName, source, request) {
+    const circuit = getCircuit(sourceName);
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= OPEN_MS) {
+        circuit.state = 'half-open';
+    } else if (circuit.state !== 'closed') {
+        throw new UpstreamError(`${source.name} is unavailable (circuit open after repeated failures)`, {
+            source: source.name,
+            outage: false,
+        });
+    }
+
+    try {
+        const result = await request();
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+        return result;
+    } catch (error) {
+        if (error.outage === false) {
+            // The source answered, so a half-open trial still proves it's back
+            if (circuit.state === 'half-open') circuit.state = 'closed';
+            throw error;
+        }
+
+        circuit.failures += 1;
+        circuit.lastError = error.message;
+        if (circuit.state === 'half-open' || circuit.failures >= FAILURE_THRESHOLD) {
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+            console.warn(`${source.name} circuit opened: ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+// Fetch, store and return a fresh value, sharing the call with any
+// concurrent refresh of the same key
+function refresh(key, sourceName, source, url, options) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = guarded(sourceName, source, () => fetchWithRetry(source, url, options))
+        .then(async value => {
+            fetchCount += 1;
+            await cacheStore.set(key, { value, fetchedAt: Date.now() });
+            return value;
+        })
+        .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+}
+
+// Fetch a URL from an upstream source and return the parsed body (`as`:
+// 'json' or 'text'). Throws an UpstreamError when the source fails and there's
+// no usable cached copy.
+export async function upstreamFetch(sourceName, url, { method = 'GET', headers = {}, body, as = 'json', ttl } = {}) {
+    const source = SOURCES[sourceName];
+    if (!source) {
+        throw new Error(`Unknown upstream source "${sourceName}"`);
+    }
+
+    const options = { method, headers, body, as };
+    const freshSeconds = ttl ?? source.ttl;
+
+    if (method !== 'GET' || freshSeconds <= 0) {
+        const value = await guarded(sourceName, source, () => fetchWithRetry(source, url, options));
+        fetchCount += 1;
+        return value;
+    }
+
+    const key = `${sourceName}:${as}:${url}`;
+    const entry = await cacheStore.get(key);
+    const ageSeconds = entry ? (Date.now() - entry.fetchedAt) / 1000 : Infinity;
+
+    // Callers get their own copy - the cached value (and a shared in-flight
+    // refresh) is the same object for every request with this URL
+    if (ageSeconds < freshSeconds) {
+        return structuredClone(entry.value);
+    }
+
+    if (ageSeconds < freshSeconds + (source.stale || 0)) {
+        // Serve the stale copy now; the refresh updates the cache for next time
+        refresh(key, sourceName, source, url, options).catch(error => {
+            console.warn(`Background refresh failed (${source.name}):`, error.message);
+        });
+        return structuredClone(entry.value);
+    }
+
+    return structuredClone(await refresh(key, sourceName, source, url, options));
+}
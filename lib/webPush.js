@@ -0,0 +1,168 @@
+// Minimal Web Push sender: VAPID authentication (RFC 8292) and aes128gcm
+// payload encryption (RFC 8291) on top of Node's crypto, so alerts need no
+// third-party push service or library.
+//
+// VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, the
+// format most push tooling prints). Outside production they're generated on
+// first use and saved in the data store instead. Changing keys invalidates
+// every existing subscription.
+import crypto from 'crypto';
+import { readJson, writeJson } from './dataStore';
+import { postToPublicHost, BlockedTargetError } from './publicHosts';
+
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:contact@obsuf.surf';
+
+// How long a push service holds an undelivered notification, in seconds
+const DEFAULT_TTL = 60 * 60;
+
+// Single-record payloads: everything fits in one 4096-byte record
+const RECORD_SIZE = 4096;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64url = (value) => Buffer.from(value, 'base64url');
+
+export class PushError extends Error {
+    constructor(message, { status = null, expired = false } = {}) {
+        super(message);
+        this.name = 'PushError';
+        this.status = status;
+        // The subscription is gone for good and should be deleted
+        this.expired = expired;
+    }
+}
+
+function generateVapidKeys() {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    return {
+        publicKey: base64url(Buffer.concat([Buffer.from([0x04]), fromBase64url(jwk.x), fromBase64url(jwk.y)])),
+        privateKey: jwk.d,
+    };
+}
+
+let vapidKeys = null;
+
+async function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+
+    // A generated pair only lives as long as the data store, and a new one
+    // silently orphans every subscription - production must supply its own
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set in production');
+    }
+
+    const saved = await readJson('push/vapid');
+    if (saved) return saved;
+
+    const generated = generateVapidKeys();
+    await writeJson('push/vapid', generated);
+    return generated;
+}
+
+// The server's VAPID key pair as base64url strings. Concurrent first calls
+// share one load, so only one pair is ever generated.
+export function getVapidKeys() {
+    if (!vapidKeys) {
+        vapidKeys = loadVapidKeys().catch(error => {
+            // Let the next call try again
+            vapidKeys = null;
+            throw error;
+        });
+    }
+    return vapidKeys;
+}
+
+// Signed ES256 JWT for the push service's origin
+function createVapidToken(endpoint, { publicKey, privateKey }) {
+    const point = fromBase64url(publicKey);
+    const key = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: base64url(point.subarray(1, 33)),
+            y: base64url(point.subarray(33, 65)),
+        },
+    });
+
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: VAPID_SUBJECT,
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `${header}.${claims}.${base64url(signature)}`;
+}
+
+// Encrypt a payload for one subscription (aes128gcm content coding)
+export function encryptPayload(payload, { p256dh, auth }) {
+    const userAgentPublicKey = fromBase64url(p256dh);
+    const authSecret = fromBase64url(auth);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // 0x02 marks the last (and only) record
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([0x02])]);
+    if (plaintext.length + 16 > RECORD_SIZE - 86) {
+        throw new PushError('Push payload too large');
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// Send a JSON payload to a PushSubscription ({ endpoint, keys: { p256dh, auth } }).
+// Throws a PushError; `expired` means the browser dropped the subscription.
+export async function sendNotification(subscription, payload, { ttl = DEFAULT_TTL, urgency = 'normal' } = {}) {
+    const keys = await getVapidKeys();
+    const body = encryptPayload(JSON.stringify(payload), subscription.keys);
+
+    let response;
+    try {
+        response = await postToPublicHost(subscription.endpoint, {
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Encoding': 'aes128gcm',
+                'TTL': String(ttl),
+                'Urgency': urgency,
+                'Authorization': `vapid t=${createVapidToken(subscription.endpoint, keys)}, k=${keys.publicKey}`,
+            },
+            body,
+            timeoutMs: 10000,
+        });
+    } catch (error) {
+        // An endpoint on a private address is no push service - drop it
+        if (error instanceof BlockedTargetError) {
+            throw new PushError(error.message, { expired: true });
+        }
+        throw new PushError(`Push request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        const { status } = response;
+        throw new PushError(`Push service rejected notification: status ${status}`, {
+            status,
+            expired: status === 404 || status === 410,
+        });
+    }
+}
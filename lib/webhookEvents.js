@@ -0,0 +1,87 @@
+// The conditions changes outbound webhooks can subscribe to. Each scheduled
+// evaluation boils a spot's analysis down to a small state; comparing it with
+// the state from the previous run gives the transitions to deliver.
+import { QUALITY_LEVELS } from './alertTriggers';
+import { angleBetween } from './compass';
+
+// Event name -> what it means and how long before it can fire again for the
+// same spot. Quality changes always go out so receivers can track the level.
+export const WEBHOOK_EVENTS = {
+    'quality.changed': { description: 'Surf quality moves up or down a level', cooldownMinutes: 0 },
+    'wind.offshore': { description: 'Wind turns offshore', cooldownMinutes: 180 },
+    'swell.arriving': { description: 'A new swell shows up at the buoy', cooldownMinutes: 360 },
+};
+
+// The dominant swell train counts as new when its period jumps or its
+// direction swings this much, as long as it's big enough to matter
+const NEW_SWELL = { minPeriodIncrease: 3, minDirectionChange: 30, minHeight: 2 };
+
+// A state older than this (spot not watched, evaluations failing) is no
+// baseline - the first run after the gap only records the state
+const MAX_STATE_AGE_MINUTES = 120;
+
+// The parts of a summarizeConditions() result that events compare
+export function getConditionsState(analysis, now = new Date()) {
+    const { wind, swell } = analysis.details;
+    const primary = swell.primary;
+
+    return {
+        quality: analysis.quality,
+        isOffshore: wind.isOffshore,
+        wind: wind.text,
+        swell: primary
+            ? {
+                height: primary.height,
+                period: primary.period,
+                direction: primary.direction,
+                directionText: primary.directionText,
+                type: primary.type,
+            }
+            : null,
+        evaluatedAt: now.toISOString(),
+    };
+}
+
+function isNewSwell(previous, current) {
+    if (!previous || !current || current.height < NEW_SWELL.minHeight) return false;
+
+    if (current.period - previous.period >= NEW_SWELL.minPeriodIncrease) return true;
+
+    return current.direction !== null && previous.direction !== null &&
+        current.direction !== undefined && previous.direction !== undefined &&
+        angleBetween(current.direction, previous.direction) >= NEW_SWELL.minDirectionChange;
+}
+
+// Events between two states, as [{ event, change }]. `lastFired` maps event
+// names to when they last went out for this spot, for the cooldowns.
+export function detectTransitions(previous, current, lastFired = {}, now = new Date()) {
+    if (!previous || now - new Date(previous.evaluatedAt) > MAX_STATE_AGE_MINUTES * 60 * 1000) {
+        return [];
+    }
+
+    const transitions = [];
+
+    if (previous.quality !== current.quality) {
+        transitions.push({
+            event: 'quality.changed',
+            change: {
+                from: previous.quality,
+                to: current.quality,
+                direction: QUALITY_LEVELS.indexOf(current.quality) > QUALITY_LEVELS.indexOf(previous.quality) ? 'up' : 'down',
+            },
+        });
+    }
+
+    if (!previous.isOffshore && current.isOffshore) {
+        transitions.push({ event: 'wind.offshore', change: { from: previous.wind, to: current.wind } });
+    }
+
+    if (isNewSwell(previous.swell, current.swell)) {
+        transitions.push({ event: 'swell.arriving', change: { from: previous.swell, to: current.swell } });
+    }
+
+    return transitions.filter(({ event }) => {
+        const { cooldownMinutes } = WEBHOOK_EVENTS[event];
+        return !lastFired[event] || now - new Date(lastFired[event]) >= cooldownMinutes * 60 * 1000;
+    });
+}
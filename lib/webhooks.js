@@ -0,0 +1,371 @@
+// Outbound webhooks. Registered URLs get a signed JSON POST with the analysis
+// whenever a scheduled evaluation (lib/alerts.js) sees a conditions change
+// they asked for (lib/webhookEvents.js). Every delivery is logged and failed
+// ones are retried with backoff until they go through or run out of attempts.
+import crypto from 'crypto';
+import { readJson, writeJson } from './dataStore';
+import { isBearerAuthorized } from './auth';
+import { isPublicUrl, postToPublicHost, BlockedTargetError } from './publicHosts';
+import { SPOTS, DEFAULT_SPOT, getSpot } from './spots';
+import { WEBHOOK_EVENTS, getConditionsState, detectTransitions } from './webhookEvents';
+
+const WEBHOOKS_KEY = 'webhooks/endpoints';
+const DELIVERIES_KEY = 'webhooks/deliveries';
+const STATE_KEY = 'webhooks/state';
+
+const SITE_URL = 'https://obsuf.surf';
+
+// Wait before each retry, in seconds; a delivery fails for good after the
+// last one. Serverless deployments retry on the next cron run at the earliest.
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 6 * 60 * 60];
+
+// How long a delivery being sent is held back from other retry runs
+const SEND_LEASE_MS = 60 * 1000;
+const TIMEOUT_MS = 10000;
+
+// Finished deliveries kept in the log; pending ones are always kept
+const MAX_LOG_ENTRIES = 200;
+
+export const SIGNATURE_HEADER = 'X-Obsuf-Signature';
+
+export class WebhookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookError';
+    }
+}
+
+let queue = Promise.resolve();
+
+// Apply `update` to a stored list and save the result. One queue for all
+// webhook stores so evaluations, retries and API calls don't overwrite
+// each other.
+function updateStore(key, fallback, update) {
+    const run = queue.then(async () => {
+        const updated = await update(await readJson(key, fallback));
+        await writeJson(key, updated);
+        return updated;
+    });
+    // Keep the queue going after a failed update
+    queue = run.catch(() => {});
+    return run;
+}
+
+export function listWebhooks() {
+    return readJson(WEBHOOKS_KEY, []);
+}
+
+export async function getWebhook(id) {
+    return (await listWebhooks()).find(webhook => webhook.id === id) || null;
+}
+
+// What the API shows - the secret is only returned when registering
+export function describeWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+// Registration requests need `Authorization: Bearer $WEBHOOK_ADMIN_TOKEN`.
+// Without a token configured only dev servers accept them.
+export function isAuthorized(authorization) {
+    return isBearerAuthorized(authorization, process.env.WEBHOOK_ADMIN_TOKEN);
+}
+
+// Check a registration request. Throws a WebhookError with a message fit for
+// a 400 response.
+export function validateWebhook({ url, events, spots = [], description = '' } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    if (!isPublicUrl(parsed)) {
+        throw new WebhookError(parsed.protocol === 'https:' ? 'url must point at a public host' : 'url must use https');
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new WebhookError(`events must list at least one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+    const unknownEvent = events.find(event => !Object.hasOwn(WEBHOOK_EVENTS, event));
+    if (unknownEvent) {
+        throw new WebhookError(`Unknown event "${unknownEvent}" - use ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+
+    if (!Array.isArray(spots)) {
+        throw new WebhookError('spots must be an array of spot slugs (empty for every spot)');
+    }
+    const unknownSpot = spots.find(slug => !getSpot(slug));
+    if (unknownSpot) {
+        throw new WebhookError(`Unknown spot "${unknownSpot}" - use ${Object.keys(SPOTS).join(', ')}`);
+    }
+
+    return {
+        url: parsed.href,
+        events: [...new Set(events)],
+        spots: [...new Set(spots)],
+        description: String(description).slice(0, 200),
+    };
+}
+
+export async function registerWebhook(input) {
+    const webhook = {
+        id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+        ...validateWebhook(input),
+        secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString(),
+    };
+
+    await updateStore(WEBHOOKS_KEY, [], webhooks => [...webhooks, webhook]);
+    return webhook;
+}
+
+export async function removeWebhook(id) {
+    let removed = false;
+    await updateStore(WEBHOOKS_KEY, [], webhooks => {
+        removed = webhooks.some(webhook => webhook.id === id);
+        return webhooks.filter(webhook => webhook.id !== id);
+    });
+    return removed;
+}
+
+// Newest first, without the payloads
+export async function listDeliveries(webhookId, limit = 50) {
+    const deliveries = await readJson(DELIVERIES_KEY, []);
+    return deliveries
+        .filter(delivery => delivery.webhookId === webhookId)
+        .reverse()
+        .slice(0, limit)
+        .map(({ payload, ...delivery }) => delivery);
+}
+
+// Slugs of the spots any webhook is watching
+export function getWatchedSpots(webhooks) {
+    if (webhooks.some(webhook => webhook.spots.length === 0)) return Object.keys(SPOTS);
+    return [...new Set(webhooks.flatMap(webhook => webhook.spots))];
+}
+
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers
+// recompute it with their secret and reject old timestamps.
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// One POST. Resolves to the attempt for the log, never throws.
+async function sendDelivery(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: 0 };
+
+    try {
+        const response = await postToPublicHost(webhook.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'obsuf.surf-webhooks/1.0',
+                'X-Obsuf-Event': delivery.event,
+                'X-Obsuf-Delivery': delivery.id,
+                [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+            },
+            body,
+            timeoutMs: TIMEOUT_MS,
+        });
+
+        attempt.status = response.status;
+        if (!response.ok) attempt.error = `Receiver responded with status ${response.status}`;
+    } catch (error) {
+        if (error instanceof BlockedTargetError) {
+            attempt.error = error.message;
+            attempt.refused = true;
+        } else {
+            attempt.error = `Request failed: ${error.message}`;
+        }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    return attempt;
+}
+
+// Network errors, timeouts, 5xx, 408 and 429 are worth another go; any other
+// status means the receiver turned the payload down. Refused targets (hosts
+// on private addresses) aren't retried either.
+function isRetryable({ status, refused }) {
+    if (refused) return false;
+    return status === null || status >= 500 || status === 408 || status === 429;
+}
+
+// Drop the oldest finished deliveries past the cap
+function trimLog(deliveries) {
+    const finished = deliveries.filter(delivery => delivery.status !== 'pending');
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_LOG_ENTRIES)));
+    return deliveries.filter(delivery => !dropped.has(delivery));
+}
+
+async function recordAttempt(id, attempt) {
+    let recorded;
+    await updateStore(DELIVERIES_KEY, [], deliveries => deliveries.map(delivery => {
+        if (delivery.id !== id) return delivery;
+
+        const attempts = [...delivery.attempts, attempt];
+        const retryDelay = RETRY_DELAYS[attempts.length - 1];
+        let update;
+
+        if (!attempt.error) {
+            update = { status: 'delivered', deliveredAt: attempt.at, nextAttemptAt: null };
+        } else if (isRetryable(attempt) && retryDelay !== undefined) {
+            update = { status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelay * 1000).toISOString() };
+        } else {
+            update = { status: 'failed', nextAttemptAt: null };
+        }
+
+        recorded = { ...delivery, ...update, attempts };
+        return recorded;
+    }));
+    return recorded;
+}
+
+// Log new deliveries and make their first attempt
+async function deliver(webhookPayloads) {
+    const now = Date.now();
+    const deliveries = webhookPayloads.map(({ webhook, event, spot, payload }) => ({
+        id: payload.id,
+        webhookId: webhook.id,
+        event,
+        spot,
+        url: webhook.url,
+        status: 'pending',
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now + SEND_LEASE_MS).toISOString(),
+        attempts: [],
+        payload,
+    }));
+    if (deliveries.length === 0) return [];
+
+    await updateStore(DELIVERIES_KEY, [], stored => trimLog([...stored, ...deliveries]));
+
+    return Promise.all(deliveries.map(async (delivery, index) =>
+        recordAttempt(delivery.id, await sendDelivery(webhookPayloads[index].webhook, delivery))));
+}
+
+let retryRun = null;
+
+// Resend deliveries whose backoff has passed. Concurrent calls share one run.
+export function retryDueDeliveries(now = new Date()) {
+    if (!retryRun) {
+        retryRun = runRetries(now).finally(() => {
+            retryRun = null;
+        });
+    }
+    return retryRun;
+}
+
+async function runRetries(now) {
+    const webhooks = new Map((await listWebhooks()).map(webhook => [webhook.id, webhook]));
+    const due = [];
+
+    // Claim the due deliveries so an overlapping run leaves them alone
+    await updateStore(DELIVERIES_KEY, [], deliveries => deliveries.map(delivery => {
+        if (delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > now) return delivery;
+
+        if (!webhooks.has(delivery.webhookId)) {
+            return { ...delivery, status: 'failed', nextAttemptAt: null, error: 'Webhook was removed' };
+        }
+
+        const claimed = { ...delivery, nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS).toISOString() };
+        due.push(claimed);
+        return claimed;
+    }));
+
+    const results = await Promise.all(due.map(async delivery =>
+        recordAttempt(delivery.id, await sendDelivery(webhooks.get(delivery.webhookId), delivery))));
+
+    return {
+        retried: results.length,
+        delivered: results.filter(delivery => delivery.status === 'delivered').length,
+    };
+}
+
+function spotUrl(spot) {
+    return spot.slug === DEFAULT_SPOT ? SITE_URL : `${SITE_URL}/spots/${spot.slug}`;
+}
+
+function buildPayload(event, spot, change, analysis, now) {
+    return {
+        id: `dlv_${crypto.randomUUID()}`,
+        event,
+        createdAt: now.toISOString(),
+        spot: { slug: spot.slug, name: spot.name, url: spotUrl(spot) },
+        change,
+        // The full analysis: summary, quality, confidence and per-factor details
+        analysis: JSON.parse(JSON.stringify(analysis)),
+    };
+}
+
+// Compare each analyzed spot with its state from the last run and deliver
+// the transitions to the webhooks that asked for them. `analyses` maps spot
+// slugs to { spot, analysis } for spots with trustworthy readings; the rest
+// keep their old state until they have some.
+export async function evaluateWebhooks(analyses, now = new Date()) {
+    const webhooks = await listWebhooks();
+    const transitions = [];
+
+    await updateStore(STATE_KEY, {}, stored => {
+        const updated = { ...stored };
+
+        for (const [slug, { spot, analysis }] of analyses) {
+            const previous = stored[slug];
+            const current = getConditionsState(analysis, now);
+            const lastFired = { ...previous?.lastFired };
+
+            for (const transition of detectTransitions(previous?.state, current, lastFired, now)) {
+                transitions.push({ ...transition, spot, analysis });
+                lastFired[transition.event] = now.toISOString();
+            }
+
+            updated[slug] = { state: current, lastFired };
+        }
+
+        return updated;
+    });
+
+    const payloads = transitions.flatMap(({ event, change, spot, analysis }) => webhooks
+        .filter(webhook => webhook.events.includes(event) &&
+            (webhook.spots.length === 0 || webhook.spots.includes(spot.slug)))
+        .map(webhook => ({
+            webhook,
+            event,
+            spot: spot.slug,
+            payload: buildPayload(event, spot, change, analysis, now),
+        })));
+
+    const results = await deliver(payloads);
+
+    return {
+        webhooks: webhooks.length,
+        events: transitions.map(({ event, spot }) => `${spot.slug}:${event}`),
+        deliveries: results.length,
+        delivered: results.filter(delivery => delivery.status === 'delivered').length,
+    };
+}
+
+// A `ping` delivery to check a receiver - signed, logged and retried like
+// any other
+export async function sendTestDelivery(webhook) {
+    const now = new Date();
+    const [delivery] = await deliver([{
+        webhook,
+        event: 'ping',
+        spot: null,
+        payload: {
+            id: `dlv_${crypto.randomUUID()}`,
+            event: 'ping',
+            createdAt: now.toISOString(),
+            webhook: { id: webhook.id, events: webhook.events, spots: webhook.spots },
+        },
+    }]);
+
+    const { payload, ...logged } = delivery;
+    return logged;
+}
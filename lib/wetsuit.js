@@ -0,0 +1,51 @@
+// Ocean Beach water usually sits between the low 50s (spring upwelling) and
+// high 50s (fall). Outside that range it's worth calling out.
+const UNUSUALLY_COLD_F = 51;
+const UNUSUALLY_WARM_F = 60;
+
+export function celsiusToFahrenheit(celsius) {
+    if (celsius === null || celsius === undefined) return null;
+    return Math.round((celsius * 9 / 5 + 32) * 10) / 10;
+}
+
+// Wetsuit recommendation from water temperature (°F), nudged warmer when the
+// air is cold enough to make sitting in the lineup miserable
+export function recommendWetsuit(waterTemp, airTemp = null) {
+    if (waterTemp === null || waterTemp === undefined) return null;
+
+    let recommendation;
+    if (waterTemp < 52) {
+        recommendation = { suit: '5/4', accessories: ['hood', 'booties', 'gloves'], emoji: '🥶' };
+    } else if (waterTemp < 55) {
+        recommendation = { suit: '5/4', accessories: ['hood', 'booties'], emoji: '🧊' };
+    } else if (waterTemp < 58) {
+        recommendation = { suit: '4/3', accessories: ['booties'], emoji: '🌊' };
+    } else if (waterTemp < 63) {
+        recommendation = { suit: '4/3', accessories: [], emoji: '👌' };
+    } else if (waterTemp < 68) {
+        recommendation = { suit: '3/2', accessories: [], emoji: '☀️' };
+    } else {
+        recommendation = { suit: 'spring suit', accessories: [], emoji: '🌴' };
+    }
+
+    if (airTemp !== null && airTemp !== undefined && airTemp < 50 && !recommendation.accessories.includes('hood')) {
+        recommendation.accessories = [...recommendation.accessories, 'hood'];
+    }
+
+    const accessoryText = recommendation.accessories.length > 0
+        ? ` + ${recommendation.accessories.join(' + ')}`
+        : '';
+
+    return {
+        ...recommendation,
+        text: `${recommendation.suit}${accessoryText}`
+    };
+}
+
+// 'cold', 'warm' or null when the water is in its usual range
+export function getWaterTempAnomaly(waterTemp) {
+    if (waterTemp === null || waterTemp === undefined) return null;
+    if (waterTemp <= UNUSUALLY_COLD_F) return 'cold';
+    if (waterTemp >= UNUSUALLY_WARM_F) return 'warm';
+    return null;
+}
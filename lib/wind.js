@@ -0,0 +1,95 @@
+// Live wind observations for a spot from each of its wind source adapters
+// (lib/windSources.js), blended after quality control
+import { getDirectionText } from './compass';
+import { getFreshness, STALE_AFTER_MINUTES } from './freshness';
+import { getWindSource, fetchWindSource } from './windSources';
+import { blendWindSources } from './windQc';
+
+// Fetch every wind source for the spot simultaneously. Failed sources are
+// reported in `errors` rather than thrown, and every adapter's outcome in
+// `adapters`.
+export async function fetchWindSources(spot) {
+    const results = await Promise.all(spot.wind.map(async id => {
+        const adapter = getWindSource(id);
+        const startedAt = Date.now();
+
+        try {
+            if (!adapter) {
+                throw new Error('unknown wind source');
+            }
+
+            const readings = await fetchWindSource(adapter, spot);
+            return {
+                readings,
+                health: { id, name: adapter.name, status: 'ok', readings: readings.length, latencyMs: Date.now() - startedAt },
+            };
+        } catch (error) {
+            return {
+                readings: [],
+                error: `${adapter?.name || id}: ${error.message}`,
+                health: {
+                    id,
+                    name: adapter?.name || id,
+                    status: error.unconfigured ? 'unconfigured' : 'failed',
+                    readings: 0,
+                    latencyMs: Date.now() - startedAt,
+                    error: error.message,
+                },
+            };
+        }
+    }));
+
+    return {
+        sources: results.flatMap(result => result.readings),
+        errors: results.filter(result => result.error).map(result => result.error),
+        adapters: results.map(result => result.health),
+    };
+}
+
+// Averaged wind from every source that reported. Throws when none did.
+export async function fetchWindData(spot) {
+    const { sources, errors, adapters } = await fetchWindSources(spot);
+    return averageWindSources(sources, errors, spot, adapters);
+}
+
+// Blend the sources that reported, after quality control (lib/windQc.js)
+export function averageWindSources(validSources, errors, spot, adapters = []) {
+    if (validSources.length === 0) {
+        throw new Error(`No valid wind data sources available (${errors.join('; ')})`);
+    }
+
+    // Each source's observation age decides whether it makes the freshness cutoff
+    const { speed, direction, gust, sources, agreement } = blendWindSources(validSources.map(s => ({
+        name: s.source,
+        stationName: s.stationName,
+        adapter: s.adapter,
+        distanceKm: s.distanceKm,
+        speed: s.speed,
+        direction: s.direction,
+        gust: s.gust,
+        weight: s.weight,
+        timestamp: s.timestamp,
+        ...getFreshness(s.timestamp, STALE_AFTER_MINUTES[s.provider])
+    })));
+
+    // The reading as a whole is as fresh as its newest blended source
+    const newest = sources.filter(source => source.status === 'used').reduce((best, source) =>
+        new Date(source.timestamp) > new Date(best.timestamp) ? source : best);
+
+    return {
+        speed,
+        direction,
+        directionText: getDirectionText(direction),
+        gust,
+        timestamp: newest.timestamp ? new Date(newest.timestamp).toISOString() : null,
+        ageMinutes: newest.ageMinutes,
+        staleAfterMinutes: newest.staleAfterMinutes,
+        stale: sources.every(source => source.stale),
+        spot: spot.slug,
+        source: 'averaged',
+        agreement,
+        sources,
+        adapters,
+        errors: errors.length > 0 ? errors : undefined
+    };
+}
@@ -0,0 +1,182 @@
+// Quality control for blending wind sources.
+//
+// Readings past their source's freshness limit are dropped, then readings
+// that disagree wildly with the median are rejected. What's left is averaged
+// as vectors weighted by speed and by each source's weight, so a light,
+// variable airport reading can't drag the direction away from a steady 20 kts
+// at the buoy. How well the sources agree is reported for downstream scoring.
+import { angleBetween } from './compass';
+
+// Outlier rejection needs enough sources for a median to mean something
+const MIN_SOURCES_FOR_OUTLIERS = 3;
+
+// A speed is an outlier when it's further than this from the median: the
+// larger of a fixed margin (light winds vary a lot in relative terms) and a
+// fraction of the median
+const OUTLIER_SPEED_KTS = 6;
+const OUTLIER_SPEED_RATIO = 0.6;
+
+// A direction is an outlier when it's more than this far from the median
+// direction - unless the wind there is too light to have a real direction
+const OUTLIER_DIRECTION_DEGREES = 90;
+const CALM_KTS = 3;
+
+// Agreement score (0-1) thresholds for the reported level
+const AGREEMENT_LEVELS = [
+    { min: 0.85, level: 'high' },
+    { min: 0.6, level: 'moderate' },
+    { min: 0, level: 'low' },
+];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// The reported direction closest to all the others (a median for angles,
+// which can't simply be sorted)
+function medianDirection(directions) {
+    return directions.reduce((best, candidate) => {
+        const spread = (direction) => directions.reduce((sum, other) => sum + angleBetween(direction, other), 0);
+        return spread(candidate) < spread(best) ? candidate : best;
+    });
+}
+
+// Why a reading disagrees with the median, or null if it doesn't
+function getOutlierReason(source, medianSpeed, medianDir) {
+    const speedMargin = Math.max(OUTLIER_SPEED_KTS, medianSpeed * OUTLIER_SPEED_RATIO);
+    if (Math.abs(source.speed - medianSpeed) > speedMargin) {
+        return `${source.speed}kts vs median ${round1(medianSpeed)}kts`;
+    }
+
+    if (medianDir !== null && source.speed > CALM_KTS && angleBetween(source.direction, medianDir) > OUTLIER_DIRECTION_DEGREES) {
+        return `${Math.round(source.direction)}° vs median ${Math.round(medianDir)}°`;
+    }
+
+    return null;
+}
+
+// Weighted vector average of the readings. Each vector's length is speed ×
+// source weight; in dead calm the weights alone set the direction.
+function averageVectors(readings) {
+    const sum = (weightOf) => readings.reduce((totals, reading) => {
+        const weight = weightOf(reading);
+        const radians = toRadians(reading.direction);
+        return {
+            x: totals.x + weight * Math.cos(radians),
+            y: totals.y + weight * Math.sin(radians),
+            weight: totals.weight + weight,
+        };
+    }, { x: 0, y: 0, weight: 0 });
+
+    let totals = sum(reading => reading.speed * reading.weight);
+    if (totals.weight === 0) {
+        totals = sum(reading => reading.weight);
+    }
+
+    const direction = (toDegrees(Math.atan2(totals.y, totals.x)) + 360) % 360;
+    // Length of the mean vector relative to the total weight: 1 when every
+    // reading points the same way, toward 0 as they cancel out
+    const resultant = totals.weight > 0 ? Math.hypot(totals.x, totals.y) / totals.weight : 0;
+
+    return { direction: Math.round(direction) % 360, resultant };
+}
+
+// How well the blended readings agree: `score` (0-1) is the directional
+// consistency scaled down by the relative speed spread, with the spreads
+// themselves in degrees and knots. Null score with a single reading.
+function measureAgreement(readings, resultant, averageSpeed) {
+    if (readings.length < 2) {
+        return { score: null, level: 'single-source', directionSpread: null, speedSpread: null };
+    }
+
+    const totalWeight = readings.reduce((sum, reading) => sum + reading.weight, 0);
+    const variance = readings.reduce((sum, reading) => sum + reading.weight * (reading.speed - averageSpeed) ** 2, 0) / totalWeight;
+    const speedSpread = Math.sqrt(variance);
+
+    // Circular standard deviation
+    const directionSpread = resultant > 0 ? toDegrees(Math.sqrt(-2 * Math.log(Math.min(1, resultant)))) : 180;
+
+    // Spread relative to the wind speed, with the calm margin so a 1 kt
+    // difference in near-calm air doesn't read as disagreement
+    const speedAgreement = 1 / (1 + speedSpread / Math.max(averageSpeed, CALM_KTS));
+    const score = Math.round(resultant * speedAgreement * 100) / 100;
+
+    return {
+        score,
+        level: AGREEMENT_LEVELS.find(({ min }) => score >= min).level,
+        directionSpread: Math.round(Math.min(180, directionSpread)),
+        speedSpread: round1(speedSpread),
+    };
+}
+
+// Run QC over the reported sources (each with speed, direction, gust, weight
+// and freshness) and blend the survivors. Every source comes back with a
+// `status` of 'used', 'stale' or 'outlier' and, when rejected, a
+// `rejectedReason`.
+export function blendWindSources(sources) {
+    // Freshness cutoff - unless every source is past it, in which case the
+    // stale readings are all there is
+    const fresh = sources.filter(source => !source.stale);
+    const candidates = fresh.length > 0 ? fresh : sources;
+
+    let used = candidates;
+    const outliers = new Map();
+
+    if (candidates.length >= MIN_SOURCES_FOR_OUTLIERS) {
+        const medianSpeed = median(candidates.map(source => source.speed));
+        const moving = candidates.filter(source => source.speed > CALM_KTS);
+        const medianDir = moving.length > 0 ? medianDirection(moving.map(source => source.direction)) : null;
+
+        candidates.forEach(source => {
+            const reason = getOutlierReason(source, medianSpeed, medianDir);
+            if (reason) outliers.set(source, reason);
+        });
+
+        // When most sources disagree there's no consensus to defend - keep
+        // them all and let the agreement score say so
+        if (outliers.size * 2 < candidates.length) {
+            used = candidates.filter(source => !outliers.has(source));
+        } else {
+            outliers.clear();
+        }
+    }
+
+    const totalWeight = used.reduce((sum, source) => sum + source.weight, 0);
+    const speed = used.reduce((sum, source) => sum + source.speed * source.weight, 0) / totalWeight;
+    const { direction, resultant } = averageVectors(used);
+
+    // Gusts are weighted like speed, over the sources that report them
+    const gusting = used.filter(source => source.gust !== null);
+    const gustWeight = gusting.reduce((sum, source) => sum + source.weight, 0);
+    const gust = gusting.length > 0
+        ? round1(gusting.reduce((sum, source) => sum + source.gust * source.weight, 0) / gustWeight)
+        : null;
+
+    const annotated = sources.map(source => {
+        if (used.includes(source)) return { ...source, status: 'used' };
+        if (outliers.has(source)) return { ...source, status: 'outlier', rejectedReason: outliers.get(source) };
+        return {
+            ...source,
+            status: 'stale',
+            rejectedReason: source.ageMinutes === null ? 'no observation time' : `older than ${source.staleAfterMinutes} min`,
+        };
+    });
+
+    return {
+        speed: round1(speed),
+        direction,
+        gust,
+        sources: annotated,
+        agreement: {
+            ...measureAgreement(used, resultant, speed),
+            sourcesUsed: used.length,
+            sourcesRejected: sources.length - used.length,
+        },
+    };
+}
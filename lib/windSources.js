@@ -0,0 +1,211 @@
+// Wind source adapters. Each adapter knows where its readings come from, how
+// to parse them, what units they arrive in, where the instrument is and how
+// much to trust it. Spots list the adapters that describe them (lib/spots.js);
+// lib/wind.js fetches them and lib/windQc.js blends the readings.
+import { getRealtimeUrl, parseRealtime } from './ndbc';
+import { distanceKm } from './propagation';
+import { upstreamFetch } from './upstream';
+
+// Every reading is converted to knots before it leaves this module
+const TO_KNOTS = {
+    'm/s': 1.94384,
+    'km/h': 0.539957,
+    kts: 1,
+};
+
+// Radius for the nearby-stations search, in miles (Synoptic's unit)
+const NEARBY_RADIUS_MILES = 3;
+
+function toKnots(value, unit) {
+    if (value === null || value === undefined) return null;
+    return Math.round(value * TO_KNOTS[unit] * 10) / 10;
+}
+
+// NWS station observations (ASOS airports), speeds in km/h
+function parseNwsObservation(data) {
+    const properties = data.properties;
+    const speed = properties?.windSpeed?.value ?? null;
+    const direction = properties?.windDirection?.value ?? null; // Null when variable
+
+    if (speed === null || direction === null) {
+        throw new Error('no wind in latest observation');
+    }
+
+    return [{
+        speed,
+        direction,
+        gust: properties.windGust?.value ?? null,
+        timestamp: properties.timestamp,
+    }];
+}
+
+// NDBC standard met file, speeds in m/s
+function parseNdbcWind(textData) {
+    // Latest row with wind; parseRealtime reads the observation time as UTC
+    const latest = parseRealtime(textData).find(row => row.WDIR !== null && row.WSPD !== null);
+
+    if (!latest) {
+        throw new Error('no wind observations found');
+    }
+
+    return [{
+        speed: latest.WSPD,
+        direction: latest.WDIR,
+        gust: latest.GST !== null && latest.GST !== 99.0 ? latest.GST : null,
+        timestamp: latest.timestamp,
+    }];
+}
+
+// OpenWeatherMap current weather (metric units), speeds in m/s
+function parseOpenWeather(data) {
+    if (!data.wind || data.wind.speed === undefined || data.wind.deg === undefined) {
+        throw new Error('no wind in response');
+    }
+
+    return [{
+        speed: data.wind.speed,
+        direction: data.wind.deg,
+        gust: data.wind.gust ?? null,
+        timestamp: new Date(data.dt * 1000).toISOString(),
+    }];
+}
+
+// Synoptic (MesoWest) latest observations for every station in the radius,
+// speeds in m/s. Stations without a current wind reading are skipped.
+function parseSynopticStations(data) {
+    const { RESPONSE_CODE, RESPONSE_MESSAGE } = data.SUMMARY || {};
+    if (RESPONSE_CODE !== 1) {
+        throw new Error(RESPONSE_MESSAGE || 'unexpected response');
+    }
+
+    return (data.STATION || [])
+        .map(station => {
+            const observations = station.OBSERVATIONS || {};
+            const speed = observations.wind_speed_value_1;
+            const direction = observations.wind_direction_value_1;
+
+            if (!speed || speed.value === null || !direction || direction.value === null) return null;
+
+            return {
+                id: station.STID,
+                name: station.NAME,
+                lat: parseFloat(station.LATITUDE),
+                lon: parseFloat(station.LONGITUDE),
+                speed: speed.value,
+                direction: direction.value,
+                gust: observations.wind_gust_value_1?.value ?? null,
+                timestamp: speed.date_time,
+            };
+        })
+        .filter(reading => reading !== null);
+}
+
+function nwsStation(id, { name, lat, lon, weight }) {
+    return {
+        id,
+        name,
+        lat,
+        lon,
+        weight,
+        provider: 'nws',
+        units: 'km/h',
+        getUrl: () => `https://api.weather.gov/stations/${id}/observations/latest`,
+        headers: { 'Accept': 'application/json' },
+        parse: parseNwsObservation,
+    };
+}
+
+function ndbcStation(id, { name, lat, lon, weight }) {
+    return {
+        id,
+        name,
+        lat,
+        lon,
+        weight,
+        provider: 'ndbc',
+        units: 'm/s',
+        as: 'text',
+        getUrl: () => getRealtimeUrl(id),
+        parse: parseNdbcWind,
+    };
+}
+
+// Weights: stations on the beach or at the Gate see the wind that hits the
+// surf; airports across the hills and offshore buoys only approximate it
+export const WIND_SOURCES = {
+    // NDBC C-MAN station at the Golden Gate, 6-minute data
+    FTPC1: ndbcStation('FTPC1', { name: 'Fort Point', lat: 37.806, lon: -122.466, weight: 1.5 }),
+    KSFO: nwsStation('KSFO', { name: 'San Francisco Intl', lat: 37.619, lon: -122.365, weight: 1.0 }),
+    KHAF: nwsStation('KHAF', { name: 'Half Moon Bay Airport', lat: 37.513, lon: -122.501, weight: 1.5 }),
+    '46026': ndbcStation('46026', { name: 'San Francisco buoy (offshore)', lat: 37.755, lon: -122.839, weight: 1.0 }),
+    '46012': ndbcStation('46012', { name: 'Half Moon Bay buoy (offshore)', lat: 37.361, lon: -122.881, weight: 1.0 }),
+    // Modelled for the spot's own coordinates
+    openweather: {
+        id: 'openweather',
+        name: 'OpenWeatherMap',
+        weight: 1.5,
+        provider: 'openweather',
+        units: 'm/s',
+        requiresEnv: 'OPENWEATHER_API_KEY',
+        getUrl: (spot) => `https://api.openweathermap.org/data/2.5/weather?lat=${spot.lat}&lon=${spot.lon}&appid=${process.env.OPENWEATHER_API_KEY}&units=metric`,
+        parse: parseOpenWeather,
+    },
+    // Public and citizen weather stations around the spot - Golden Gate Park,
+    // the Great Highway and Outer Sunset/Richmond rooftops for Ocean Beach.
+    // The adapter's weight is shared between however many stations report.
+    nearby: {
+        id: 'nearby',
+        name: 'Nearby stations',
+        weight: 2.0,
+        provider: 'synoptic',
+        units: 'm/s',
+        requiresEnv: 'SYNOPTIC_API_TOKEN',
+        getUrl: (spot) => `https://api.synopticdata.com/v2/stations/latest?token=${process.env.SYNOPTIC_API_TOKEN}&radius=${spot.lat},${spot.lon},${NEARBY_RADIUS_MILES}&vars=wind_speed,wind_direction,wind_gust&within=120&units=metric`,
+        parse: parseSynopticStations,
+    },
+};
+
+export function getWindSource(id) {
+    return WIND_SOURCES[id] || null;
+}
+
+// Fetch one adapter's readings for a spot, in knots, tagged with where they
+// were measured. Throws when the adapter is unconfigured or has nothing.
+export async function fetchWindSource(adapter, spot) {
+    if (adapter.requiresEnv && !process.env[adapter.requiresEnv]) {
+        const error = new Error(`${adapter.requiresEnv} not configured`);
+        error.unconfigured = true;
+        throw error;
+    }
+
+    const raw = await upstreamFetch(adapter.provider, adapter.getUrl(spot), {
+        as: adapter.as || 'json',
+        headers: adapter.headers,
+    });
+    const readings = adapter.parse(raw);
+
+    if (readings.length === 0) {
+        throw new Error('no stations reporting');
+    }
+
+    return readings.map(reading => {
+        const location = {
+            lat: reading.lat ?? adapter.lat ?? spot.lat,
+            lon: reading.lon ?? adapter.lon ?? spot.lon,
+        };
+
+        return {
+            source: reading.id || adapter.id,
+            stationName: reading.name || adapter.name,
+            adapter: adapter.id,
+            provider: adapter.provider,
+            speed: toKnots(reading.speed, adapter.units),
+            direction: reading.direction,
+            gust: toKnots(reading.gust, adapter.units),
+            timestamp: reading.timestamp,
+            weight: adapter.weight / readings.length,
+            ...location,
+            distanceKm: Math.round(distanceKm(spot, location) * 10) / 10,
+        };
+    });
+}
@@ -1,7 +1,18 @@
+import { useEffect } from 'react';
 import '../styles/globals.css';
 import { SpeedInsights } from '@vercel/speed-insights/react';
 
 function MyApp({ Component, pageProps }) {
+    // The service worker (public/sw.js) makes the app work offline. Dev builds
+    // skip it so stale assets don't get in the way.
+    useEffect(() => {
+        if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }, []);
+
     return (
         <>
             <Component {...pageProps} />
@@ -10,4 +21,4 @@ function MyApp({ Component, pageProps }) {
     );
 }
 
-export default MyApp;
\ No newline at end of file
+export default MyApp;
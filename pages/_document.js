@@ -22,7 +22,7 @@ export default function Document() {
                 <link rel="icon" type="image/png" sizes="32x32" href="/images/favicon/favicon-32x32.png" />
                 <link rel="icon" type="image/png" sizes="96x96" href="/images/favicon/favicon-96x96.png" />
                 <link rel="icon" type="image/png" sizes="16x16" href="/images/favicon/favicon-16x16.png" />
-                <link rel="manifest" href="/images/favicon/manifest.json" />
+                <link rel="manifest" href="/manifest.json" />
                 <meta name="msapplication-TileColor" content="#000" />
                 <meta name="msapplication-TileImage" content="/images/favicon/ms-icon-144x144.png" />
                 <meta name="theme-color" content="#000" />
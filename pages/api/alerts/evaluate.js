@@ -0,0 +1,30 @@
+import { evaluateAlerts } from '../../../lib/alerts';
+import { isBearerAuthorized } from '../../../lib/auth';
+import { hasPersistentStore, NO_PERSISTENT_STORE } from '../../../lib/dataStore';
+
+// Runs the alert evaluation (lib/alerts.js). Called by the cron in
+// vercel.json; requests must carry CRON_SECRET as a bearer token, which is
+// what Vercel Cron sends. Without it set only dev servers run evaluations.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+
+    if (!isBearerAuthorized(req.headers.authorization, process.env.CRON_SECRET)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!hasPersistentStore()) {
+        return res.status(503).json(NO_PERSISTENT_STORE);
+    }
+
+    try {
+        const result = await evaluateAlerts();
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('Alert evaluation error:', error);
+        return res.status(500).json({ error: 'Alert evaluation failed', message: error.message });
+    }
+}
@@ -1,63 +1,49 @@
+import { BUOY_STATIONS, getBuoyStation } from '../../lib/buoyStations';
+import { getBuoyConditions } from '../../lib/conditions';
+import { DEGRADED_CACHE_SECONDS } from '../../lib/snapshots';
+import { SPOTS, getSpot } from '../../lib/spots';
+
 export default async function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ message: 'Method not allowed' });
     }
 
+    const spot = getSpot(req.query.spot);
+
+    if (!spot) {
+        return res.status(400).json({
+            error: 'Unknown spot',
+            message: `Spot must be one of: ${Object.keys(SPOTS).join(', ')}`,
+        });
+    }
+
+    // An explicit station wins; otherwise use the spot's nearshore buoy
+    const station = getBuoyStation(req.query.station || spot.buoy);
+
+    if (!station) {
+        return res.status(400).json({
+            error: 'Unknown station',
+            message: `Station must be one of: ${Object.keys(BUOY_STATIONS).join(', ')}`,
+        });
+    }
+
     try {
-        // Access CDIP station 142 spectral parameters (sp) data using justdar API
-        // This should return recent wave height, period, and direction data
-        const apiUrl = `https://cdip.ucsd.edu/data_access/justdar.cdip?142+sp`;
-        
-        
-        const response = await fetch(
-            apiUrl,
-            {
-                headers: {
-                    'User-Agent': 'obsuf.surf/2.0',
-                },
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const textData = await response.text();
-        
-        
-        // Parse text response - look for the wave parameters line
-        // Format: Hs(m):  0.82   Tp(s): 15.38   Dp(deg): 222   Ta(s):  8.48
-        const waveParamsMatch = textData.match(/Hs\(m\):\s*([\d.]+)\s+Tp\(s\):\s*([\d.]+)\s+Dp\(deg\):\s*(\d+)/);
-        
-        
-        if (waveParamsMatch) {
-            const formattedData = {
-                Hs: parseFloat(waveParamsMatch[1]) || null, // Wave height in meters
-                Tp: parseFloat(waveParamsMatch[2]) || null, // Peak period in seconds
-                Dp: parseInt(waveParamsMatch[3]) || null, // Direction in degrees
-                timestamp: new Date().toISOString(),
-            };
-
-            // Convert wave height from meters to feet
-            if (formattedData.Hs) {
-                formattedData.Hs = (formattedData.Hs * 3.28084).toFixed(2);
-            }
-
-            res.setHeader('Cache-Control', 's-maxage=1800'); // Cache for 30 minutes
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET');
-
-            return res.status(200).json(formattedData);
-        } else {
-            throw new Error('Invalid text data format from CDIP - could not parse wave parameters');
-        }
+        // Each station knows where its data lives and how to parse it; the
+        // last good reading stands in (marked degraded) while it's down
+        const formattedData = await getBuoyConditions(station);
+
+        res.setHeader('Cache-Control', `s-maxage=${formattedData.degraded ? DEGRADED_CACHE_SECONDS : station.cacheSeconds}`);
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json(formattedData);
     } catch (error) {
-        console.error('Buoy API error:', error);
-        
+        console.error(`Buoy API error (${station.id}):`, error);
+
         return res.status(503).json({
             error: 'Buoy data unavailable',
-            message: 'Unable to retrieve current buoy data from CDIP',
+            message: `Unable to retrieve current buoy data from ${station.provider} station ${station.id}`,
             timestamp: new Date().toISOString()
         });
     }
-  }
\ No newline at end of file
+  }
@@ -0,0 +1,61 @@
+import { getRealtimeUrl, parseRealtime } from '../../../lib/ndbc';
+import { BUOY_STATIONS, getBuoyStation } from '../../../lib/buoyStations';
+import { upstreamFetch } from '../../../lib/upstream';
+
+const DEFAULT_HOURS = 48;
+const MAX_HOURS = 168; // NDBC keeps 45 days, but a week is plenty for trends
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const station = getBuoyStation(req.query.station);
+
+    if (!station) {
+        return res.status(400).json({
+            error: 'Unknown station',
+            message: `Station must be one of: ${Object.keys(BUOY_STATIONS).join(', ')}`,
+        });
+    }
+
+    const requestedHours = parseInt(req.query.hours) || DEFAULT_HOURS;
+    const hours = Math.max(1, Math.min(MAX_HOURS, requestedHours));
+
+    try {
+        // CDIP stations are also published by NDBC (e.g. 142 SF Bar is 46237).
+        // The justdar endpoint only returns the latest spectrum, so the time
+        // series comes from the NDBC realtime2 standard met file instead.
+        const textData = await upstreamFetch('ndbc', getRealtimeUrl(station.ndbcId), { as: 'text' });
+        const cutoff = Date.now() - hours * 60 * 60 * 1000;
+
+        const series = parseRealtime(textData)
+            .filter(row => row.WVHT !== null && new Date(row.timestamp).getTime() >= cutoff)
+            .map(row => ({
+                timestamp: row.timestamp,
+                Hs: Math.round(row.WVHT * 3.28084 * 100) / 100, // Wave height in feet
+                Tp: row.DPD, // Dominant period in seconds
+                Dp: row.MWD, // Mean direction at dominant period in degrees
+            }))
+            .reverse(); // Oldest first for charting
+
+        res.setHeader('Cache-Control', `s-maxage=${station.cacheSeconds}`);
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json({
+            station: station.id,
+            stationName: station.name,
+            hours,
+            series,
+        });
+    } catch (error) {
+        console.error(`Buoy history API error (${station.id}):`, error);
+
+        return res.status(503).json({
+            error: 'Buoy history unavailable',
+            message: 'Unable to retrieve buoy history from NDBC',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
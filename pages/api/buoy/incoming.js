@@ -0,0 +1,89 @@
+import { BUOY_STATIONS, fetchStationReading } from '../../../lib/buoyStations';
+import { propagateSwell } from '../../../lib/propagation';
+import { getDirectionText } from '../../../lib/compass';
+import { SPOTS, getSpot } from '../../../lib/spots';
+
+// Swell that reached the beach longer ago than this is already in the
+// current readings, not incoming
+const MAX_PAST_ARRIVAL_MS = 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const spot = getSpot(req.query.spot);
+
+    if (!spot) {
+        return res.status(400).json({
+            error: 'Unknown spot',
+            message: `Spot must be one of: ${Object.keys(SPOTS).join(', ')}`,
+        });
+    }
+
+    const offshoreStations = Object.values(BUOY_STATIONS).filter(station => station.offshore);
+    const errors = [];
+    let failedStations = 0;
+
+    // Fetch all offshore buoys simultaneously
+    const promises = offshoreStations.map(async station => {
+        try {
+            const reading = await fetchStationReading(station);
+            if (!reading.timestamp) {
+                errors.push(`${station.id}: reading has no observation time`);
+                return null;
+            }
+
+            const arrival = propagateSwell(reading, station, spot);
+
+            if (!arrival) {
+                errors.push(`${station.id}: swell not heading towards ${spot.name}`);
+                return null;
+            }
+            if (new Date(arrival.arrival) < Date.now() - MAX_PAST_ARRIVAL_MS) {
+                errors.push(`${station.id}: swell already reached ${spot.name}`);
+                return null;
+            }
+
+            return {
+                ...arrival,
+                directionText: getDirectionText(arrival.direction),
+            };
+        } catch (error) {
+            failedStations++;
+            errors.push(`${station.id}: ${error.message}`);
+            return null;
+        }
+    });
+
+    try {
+        const results = await Promise.all(promises);
+        const arrivals = results
+            .filter(result => result !== null)
+            .sort((a, b) => new Date(a.arrival) - new Date(b.arrival));
+
+        if (failedStations === offshoreStations.length) {
+            throw new Error('No offshore buoy data available');
+        }
+
+        res.setHeader('Cache-Control', 's-maxage=3600'); // Offshore buoys report hourly
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json({
+            arrivals,
+            spot: spot.slug,
+            errors: errors.length > 0 ? errors : undefined,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Incoming swell API error:', error);
+
+        return res.status(503).json({
+            error: 'Incoming swell unavailable',
+            message: 'Unable to retrieve offshore buoy data from NDBC',
+            errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
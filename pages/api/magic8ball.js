@@ -1,3 +1,5 @@
+import { upstreamFetch } from '../../lib/upstream';
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ message: 'Method not allowed' });
@@ -10,18 +12,14 @@ export default async function handler(req, res) {
 
         if (tide !== undefined && wind !== undefined && pt_reyes !== undefined && sf_bar !== undefined) {
             try {
-                const predictResponse = await fetch(`${req.headers.origin || 'http://localhost:3000'}/api/predict`, {
+                const predictData = await upstreamFetch('predict', `${req.headers.origin || 'http://localhost:3000'}/api/predict`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                     },
                     body: JSON.stringify({ tide, wind, pt_reyes, sf_bar }),
                 });
-
-                if (predictResponse.ok) {
-                    const predictData = await predictResponse.json();
-                    mlScore = predictData.score;
-                }
+                mlScore = predictData.score;
             } catch (error) {
                 console.error('Error fetching ML score:', error);
             }
@@ -0,0 +1,104 @@
+import { fetchGridpoint, buildHourlyWind } from '../../lib/nws';
+import { BUOY_STATIONS, fetchStationReading } from '../../lib/buoyStations';
+import { propagateSwell } from '../../lib/propagation';
+import { buildTidesUrl, resolveDateRange } from '../../lib/tides';
+import { formatStationDate } from '../../lib/stationTime';
+import { scoreHours, findBestWindows } from '../../lib/planner';
+import { SPOTS, getSpot } from '../../lib/spots';
+import { upstreamFetch } from '../../lib/upstream';
+
+const PLANNER_HOURS = 48;
+
+// Offshore buoys whose swell is due to reach the spot within the planning window
+async function fetchArrivals(spot, errors) {
+    const offshoreStations = Object.values(BUOY_STATIONS).filter(station => station.offshore);
+
+    const results = await Promise.all(offshoreStations.map(async station => {
+        try {
+            return propagateSwell(await fetchStationReading(station), station, spot);
+        } catch (error) {
+            errors.push(`${station.id}: ${error.message}`);
+            return null;
+        }
+    }));
+
+    return results.filter(result => result !== null);
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const spot = getSpot(req.query.spot);
+
+    if (!spot) {
+        return res.status(400).json({
+            error: 'Unknown spot',
+            message: `Spot must be one of: ${Object.keys(SPOTS).join(', ')}`,
+        });
+    }
+
+    const errors = [];
+
+    try {
+        const now = new Date();
+
+        // High/low tides from yesterday (to know the tide in the first hour)
+        // until past the end of the window
+        const { beginDate, endDate } = resolveDateRange({
+            begin: formatStationDate(new Date(now.getTime() - 24 * 60 * 60 * 1000)),
+            end: formatStationDate(new Date(now.getTime() + (PLANNER_HOURS + 24) * 60 * 60 * 1000)),
+        });
+
+        const nearshore = BUOY_STATIONS[spot.buoy];
+
+        // Wind forecast and the nearshore buoy are required; tides and
+        // incoming swell improve the plan but aren't essential
+        const [gridpoint, current, tidePredictions, arrivals] = await Promise.all([
+            fetchGridpoint(spot.lat, spot.lon),
+            fetchStationReading(nearshore).then(reading => ({ station: nearshore.id, ...reading })),
+            upstreamFetch('noaa', buildTidesUrl({ beginDate, endDate, station: spot.tideStation }))
+                .then(data => data.predictions || [])
+                .catch(error => {
+                    errors.push(`tide: ${error.message}`);
+                    return [];
+                }),
+            fetchArrivals(spot, errors),
+        ]);
+
+        const wind = buildHourlyWind(gridpoint, PLANNER_HOURS, now);
+        if (wind.length === 0) {
+            throw new Error('NWS gridpoint returned no wind forecast');
+        }
+
+        const hours = scoreHours({ wind, tidePredictions, current, arrivals, spot, now });
+
+        res.setHeader('Cache-Control', 's-maxage=3600'); // Driven by hourly NWS and buoy updates
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json({
+            spot: spot.slug,
+            hours,
+            windows: findBestWindows(hours),
+            sources: {
+                wind: 'NWS MTR',
+                swell: nearshore.name,
+                incoming: arrivals.map(arrival => arrival.buoyName),
+                tide: spot.tideStation,
+            },
+            errors: errors.length > 0 ? errors : undefined,
+            timestamp: now.toISOString()
+        });
+    } catch (error) {
+        console.error('Session planner API error:', error);
+
+        return res.status(503).json({
+            error: 'Session planner unavailable',
+            message: 'Unable to build the surf forecast from NWS and buoy data',
+            errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
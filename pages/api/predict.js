@@ -1,3 +1,5 @@
+import { upstreamFetch } from '../../lib/upstream';
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         res.setHeader('Allow', ['POST']);
@@ -19,7 +21,7 @@ export default async function handler(req, res) {
             url.search = queryString;
         }
 
-        const response = await fetch(url.toString(), {
+        const data = await upstreamFetch('predict', url.toString(), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -32,13 +34,6 @@ export default async function handler(req, res) {
             }),
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error("Error from Cloud Function:", response.status, errorText);
-            throw new Error(`Prediction service returned ${response.status}: ${errorText}`);
-        }
-
-        const data = await response.json();
         res.status(200).json(data);
     } catch (error) {
         console.error("Error in API route:", error.message);
@@ -0,0 +1,75 @@
+import { getVapidKeys } from '../../../lib/webPush';
+import { saveSubscription, removeSubscription, SubscriptionLimitError } from '../../../lib/pushSubscriptions';
+import { describeTrigger } from '../../../lib/alertTriggers';
+import { SPOTS, getSpot } from '../../../lib/spots';
+import { hasPersistentStore, NO_PERSISTENT_STORE } from '../../../lib/dataStore';
+
+// The caller's address for per-client limits. Vercel and most reverse
+// proxies put the client first in X-Forwarded-For.
+function getClientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    return (typeof forwarded === 'string' && forwarded.split(',')[0].trim()) || req.socket?.remoteAddress || 'unknown';
+}
+
+// GET: the VAPID public key browsers subscribe with
+// POST { subscription, spot, triggers }: save (or replace) a subscription
+// DELETE { endpoint }: unsubscribe
+export default async function handler(req, res) {
+    if (!hasPersistentStore()) {
+        return res.status(503).json(NO_PERSISTENT_STORE);
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const { publicKey } = await getVapidKeys();
+            return res.status(200).json({ publicKey });
+        }
+
+        if (req.method === 'POST') {
+            const { subscription, triggers } = req.body || {};
+            const spot = getSpot(req.body?.spot);
+
+            if (!spot) {
+                return res.status(400).json({
+                    error: 'Unknown spot',
+                    message: `Spot must be one of: ${Object.keys(SPOTS).join(', ')}`,
+                });
+            }
+
+            let saved;
+            try {
+                saved = await saveSubscription(subscription, {
+                    spot: spot.slug,
+                    triggers,
+                    client: getClientAddress(req),
+                });
+            } catch (error) {
+                if (error instanceof SubscriptionLimitError) {
+                    return res.status(429).json({ error: 'Too many subscriptions', message: error.message });
+                }
+                return res.status(400).json({ error: 'Invalid subscription', message: error.message });
+            }
+
+            return res.status(201).json({
+                id: saved.id,
+                spot: saved.spot,
+                triggers: saved.triggers.map(trigger => ({ ...trigger, description: describeTrigger(trigger) })),
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            const { endpoint } = req.body || {};
+            if (typeof endpoint !== 'string') {
+                return res.status(400).json({ error: 'Invalid request', message: 'endpoint is required' });
+            }
+
+            return res.status(200).json({ removed: await removeSubscription(endpoint) });
+        }
+
+        res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+        return res.status(405).end(`Method ${req.method} Not Allowed`);
+    } catch (error) {
+        console.error('Push subscription error:', error);
+        return res.status(500).json({ error: 'Push subscriptions unavailable', message: error.message });
+    }
+}
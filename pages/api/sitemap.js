@@ -1,12 +1,26 @@
+import { SPOTS, DEFAULT_SPOT } from '../../lib/spots';
+
 export default function handler(req, res) {
+    const lastmod = new Date().toISOString().split('T')[0];
+    const spotUrls = Object.keys(SPOTS)
+        .filter(slug => slug !== DEFAULT_SPOT)
+        .map(slug => `
+    <url>
+      <loc>https://www.obsuf.surf/spots/${slug}</loc>
+      <lastmod>${lastmod}</lastmod>
+      <changefreq>monthly</changefreq>
+      <priority>0.8</priority>
+    </url>`)
+        .join('');
+
     const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
   <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
     <url>
       <loc>https://www.obsuf.surf</loc>
-      <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
+      <lastmod>${lastmod}</lastmod>
       <changefreq>monthly</changefreq>
       <priority>1.0</priority>
-    </url>
+    </url>${spotUrls}
   </urlset>`;
 
     res.setHeader('Content-Type', 'application/xml');
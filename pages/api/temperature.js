@@ -0,0 +1,56 @@
+import { getRealtimeUrl, parseRealtime } from '../../lib/ndbc';
+import { celsiusToFahrenheit, recommendWetsuit } from '../../lib/wetsuit';
+import { upstreamFetch } from '../../lib/upstream';
+import { getFreshness, STALE_AFTER_MINUTES } from '../../lib/freshness';
+import { withLastKnownGood, DEGRADED_CACHE_SECONDS } from '../../lib/snapshots';
+
+// NDBC 46026 (San Francisco) reports water (WTMP) and air (ATMP) temperature
+async function fetchTemperatureData() {
+    const rows = parseRealtime(await upstreamFetch('ndbc', getRealtimeUrl('46026'), { as: 'text' }));
+
+    // Sensors don't report every cycle, so take the latest row that has each value
+    const waterRow = rows.find(row => row.WTMP !== null);
+    const airRow = rows.find(row => row.ATMP !== null);
+
+    if (!waterRow) {
+        throw new Error('No water temperature observations found');
+    }
+
+    const waterTemp = celsiusToFahrenheit(waterRow.WTMP);
+    const airTemp = airRow ? celsiusToFahrenheit(airRow.ATMP) : null;
+
+    return {
+        station: '46026',
+        waterTemp, // °F
+        airTemp, // °F
+        waterTempC: waterRow.WTMP,
+        airTempC: airRow ? airRow.ATMP : null,
+        wetsuit: recommendWetsuit(waterTemp, airTemp),
+        timestamp: waterRow.timestamp,
+        ...getFreshness(waterRow.timestamp, STALE_AFTER_MINUTES.ndbc),
+    };
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    try {
+        const formattedData = await withLastKnownGood('temperature:46026', fetchTemperatureData);
+
+        res.setHeader('Cache-Control', `s-maxage=${formattedData.degraded ? DEGRADED_CACHE_SECONDS : 1800}`); // Cache for 30 minutes
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json(formattedData);
+    } catch (error) {
+        console.error('Temperature API error:', error);
+
+        return res.status(503).json({
+            error: 'Temperature data unavailable',
+            message: 'Unable to retrieve water temperature from NDBC',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
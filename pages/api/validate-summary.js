@@ -1,3 +1,5 @@
+import { upstreamFetch } from '../../lib/upstream';
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         res.setHeader('Allow', ['POST']);
@@ -44,32 +46,33 @@ Return ONLY the improved summary text, no explanations.`;
         }
 
         // Use OpenAI to validate/improve the summary
-        const aiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a professional surf report editor who ensures surf summaries are grammatically correct and readable while maintaining their authentic surf culture voice.'
-                    },
-                    {
-                        role: 'user', 
-                        content: validationPrompt
-                    }
-                ],
-                max_tokens: 150,
-                temperature: 0.3 // Lower temperature for more consistent, conservative edits
-            })
-        });
-
-        if (!aiResponse.ok) {
+        let aiData;
+        try {
+            aiData = await upstreamFetch('openai', 'https://api.openai.com/v1/chat/completions', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+                },
+                body: JSON.stringify({
+                    model: 'gpt-3.5-turbo',
+                    messages: [
+                        {
+                            role: 'system',
+                            content: 'You are a professional surf report editor who ensures surf summaries are grammatically correct and readable while maintaining their authentic surf culture voice.'
+                        },
+                        {
+                            role: 'user', 
+                            content: validationPrompt
+                        }
+                    ],
+                    max_tokens: 150,
+                    temperature: 0.3 // Lower temperature for more consistent, conservative edits
+                })
+            });
+        } catch (error) {
             // If AI validation fails, return original summary
-            console.warn('AI validation failed, returning original summary');
+            console.warn('AI validation failed, returning original summary:', error.message);
             return res.status(200).json({ 
                 validatedSummary: summary,
                 wasValidated: false,
@@ -77,7 +80,6 @@ Return ONLY the improved summary text, no explanations.`;
             });
         }
 
-        const aiData = await aiResponse.json();
         const validatedSummary = aiData.choices?.[0]?.message?.content?.trim();
 
         if (!validatedSummary || validatedSummary.length === 0) {
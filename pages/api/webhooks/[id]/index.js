@@ -0,0 +1,41 @@
+import { getWebhook, removeWebhook, listDeliveries, describeWebhook, isAuthorized } from '../../../../lib/webhooks';
+import { hasPersistentStore, NO_PERSISTENT_STORE } from '../../../../lib/dataStore';
+
+// GET: a webhook and its delivery log, newest first (?limit=, default 50)
+// DELETE: unregister it
+export default async function handler(req, res) {
+    if (!isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!hasPersistentStore()) {
+        return res.status(503).json(NO_PERSISTENT_STORE);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        const webhook = await getWebhook(req.query.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        if (req.method === 'GET') {
+            const limit = Math.min(200, parseInt(req.query.limit) || 50);
+            return res.status(200).json({
+                webhook: describeWebhook(webhook),
+                deliveries: await listDeliveries(webhook.id, limit),
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            return res.status(200).json({ removed: await removeWebhook(webhook.id) });
+        }
+
+        res.setHeader('Allow', ['GET', 'DELETE']);
+        return res.status(405).end(`Method ${req.method} Not Allowed`);
+    } catch (error) {
+        console.error('Webhook error:', error);
+        return res.status(500).json({ error: 'Webhooks unavailable', message: error.message });
+    }
+}
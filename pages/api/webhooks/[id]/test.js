@@ -0,0 +1,30 @@
+import { getWebhook, sendTestDelivery, isAuthorized } from '../../../../lib/webhooks';
+import { hasPersistentStore, NO_PERSISTENT_STORE } from '../../../../lib/dataStore';
+
+// POST: send the webhook a signed `ping` and return the logged delivery
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).end(`Method ${req.method} Not Allowed`);
+    }
+
+    if (!isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!hasPersistentStore()) {
+        return res.status(503).json(NO_PERSISTENT_STORE);
+    }
+
+    try {
+        const webhook = await getWebhook(req.query.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        return res.status(200).json(await sendTestDelivery(webhook));
+    } catch (error) {
+        console.error('Webhook test error:', error);
+        return res.status(500).json({ error: 'Webhook test failed', message: error.message });
+    }
+}
@@ -0,0 +1,45 @@
+import { listWebhooks, registerWebhook, describeWebhook, isAuthorized, WebhookError } from '../../../lib/webhooks';
+import { WEBHOOK_EVENTS } from '../../../lib/webhookEvents';
+import { hasPersistentStore, NO_PERSISTENT_STORE } from '../../../lib/dataStore';
+
+// GET: registered webhooks (without their secrets) and the events on offer
+// POST { url, events, spots?, description? }: register one. The response is
+// the only time its signing secret is shown.
+export default async function handler(req, res) {
+    if (!isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!hasPersistentStore()) {
+        return res.status(503).json(NO_PERSISTENT_STORE);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        if (req.method === 'GET') {
+            const webhooks = await listWebhooks();
+            return res.status(200).json({
+                webhooks: webhooks.map(describeWebhook),
+                events: WEBHOOK_EVENTS,
+            });
+        }
+
+        if (req.method === 'POST') {
+            try {
+                return res.status(201).json(await registerWebhook(req.body));
+            } catch (error) {
+                if (error instanceof WebhookError) {
+                    return res.status(400).json({ error: 'Invalid webhook', message: error.message });
+                }
+                throw error;
+            }
+        }
+
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).end(`Method ${req.method} Not Allowed`);
+    } catch (error) {
+        console.error('Webhook registration error:', error);
+        return res.status(500).json({ error: 'Webhooks unavailable', message: error.message });
+    }
+}
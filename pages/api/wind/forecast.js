@@ -0,0 +1,48 @@
+import { fetchGridpoint, buildHourlyWind } from '../../../lib/nws';
+import { SPOTS, getSpot } from '../../../lib/spots';
+
+const FORECAST_HOURS = 48;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const spot = getSpot(req.query.spot);
+
+    if (!spot) {
+        return res.status(400).json({
+            error: 'Unknown spot',
+            message: `Spot must be one of: ${Object.keys(SPOTS).join(', ')}`,
+        });
+    }
+
+    try {
+        // NWS Monterey (MTR) gridpoint covering the spot
+        const gridpoint = await fetchGridpoint(spot.lat, spot.lon);
+        const hours = buildHourlyWind(gridpoint, FORECAST_HOURS);
+
+        if (hours.length === 0) {
+            throw new Error('NWS gridpoint returned no wind forecast');
+        }
+
+        res.setHeader('Cache-Control', 's-maxage=3600'); // NWS grids update roughly hourly
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+        return res.status(200).json({
+            hours,
+            spot: spot.slug,
+            source: 'NWS MTR',
+            updated: gridpoint.updateTime,
+        });
+    } catch (error) {
+        console.error('Wind forecast API error:', error);
+
+        return res.status(503).json({
+            error: 'Wind forecast unavailable',
+            message: 'Unable to retrieve wind forecast from NWS',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -1,9 +1,12 @@
 import Head from 'next/head';
 import Layout from '../components/Layout';
 import HeroSection from '../components/HeroSection';
+import SpotNav from '../components/SpotNav';
 import SurfConditions from '../components/SurfConditions';
+import { fetchCurrentConditions, CONDITIONS_REVALIDATE_SECONDS } from '../lib/conditions';
+import { getSpot } from '../lib/spots';
 
-export default function Home() {
+export default function Home({ conditions }) {
     return (
         <Layout>
             <Head>
@@ -26,10 +29,20 @@ export default function Home() {
                 {/* Main content section */}
                 <div className="main-content">
                     <div className="container">
-                        <SurfConditions />
+                        <SpotNav />
+                        <SurfConditions initialConditions={conditions} />
                     </div>
                 </div>
             </main>
         </Layout>
     );
-}
\ No newline at end of file
+}
+
+// Ship real conditions in the HTML (for first paint and crawlers), regenerated
+// on the same cadence the data APIs are cached for
+export async function getStaticProps() {
+    return {
+        props: { conditions: await fetchCurrentConditions(getSpot()) },
+        revalidate: CONDITIONS_REVALIDATE_SECONDS,
+    };
+}
@@ -0,0 +1,69 @@
+import Head from 'next/head';
+import Layout from '../../components/Layout';
+import HeroSection from '../../components/HeroSection';
+import SpotNav from '../../components/SpotNav';
+import SurfConditions from '../../components/SurfConditions';
+import { SPOTS, DEFAULT_SPOT, getSpot } from '../../lib/spots';
+import { fetchCurrentConditions, CONDITIONS_REVALIDATE_SECONDS } from '../../lib/conditions';
+
+export default function SpotPage({ slug, conditions }) {
+    const spot = getSpot(slug);
+    const title = `${spot.name} Surf Conditions | ${spot.area} Real-time Surf Report`;
+
+    return (
+        <Layout>
+            <Head>
+                <title>{title}</title>
+                <meta property="og:title" content={title} />
+                <meta property="og:description" content={`Real-time surf conditions, buoy data, tides, and wind reports for ${spot.name}, ${spot.area}.`} />
+                <meta property="og:image" content="https://obsuf.surf/og-image.jpg" />
+                <meta property="og:url" content={`https://obsuf.surf/spots/${spot.slug}`} />
+                <meta name="twitter:card" content="summary_large_image" />
+            </Head>
+
+            <main>
+                <div className="ocean-hero">
+                    <div className="container">
+                        <HeroSection />
+                    </div>
+                </div>
+
+                <div className="main-content">
+                    <div className="container">
+                        <SpotNav currentSlug={spot.slug} />
+                        {/* Remount per spot so lazily loaded tabs refetch */}
+                        <SurfConditions key={spot.slug} spotSlug={spot.slug} initialConditions={conditions} />
+                    </div>
+                </div>
+            </main>
+        </Layout>
+    );
+}
+
+// The default spot is the home page, so it isn't prerendered here; its spot
+// URL is rendered on demand as a redirect to / rather than a second copy
+export async function getStaticPaths() {
+    return {
+        paths: Object.keys(SPOTS)
+            .filter(slug => slug !== DEFAULT_SPOT)
+            .map(slug => ({ params: { slug } })),
+        fallback: 'blocking',
+    };
+}
+
+export async function getStaticProps({ params }) {
+    if (params.slug === DEFAULT_SPOT) {
+        return { redirect: { destination: '/', permanent: true } };
+    }
+    if (!getSpot(params.slug)) {
+        return { notFound: true };
+    }
+
+    return {
+        props: {
+            slug: params.slug,
+            conditions: await fetchCurrentConditions(getSpot(params.slug)),
+        },
+        revalidate: CONDITIONS_REVALIDATE_SECONDS,
+    };
+}
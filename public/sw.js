@@ -0,0 +1,236 @@
+// Service worker: keeps the app usable offline and shows surf alert push
+// notifications. The shell is precached on install; pages and conditions are
+// network-first with the last good response kept for when the network isn't
+// there. Push payloads come from lib/alerts.js.
+
+// Bump to drop everything cached by an older worker
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `obsuf-shell-${CACHE_VERSION}`;
+const PAGE_CACHE = `obsuf-pages-${CACHE_VERSION}`;
+const DATA_CACHE = `obsuf-data-${CACHE_VERSION}`;
+
+// Spot pages aren't listed - they're cached as they're visited, so the spot
+// registry (lib/spots.js) stays the only list of them
+const SHELL_URLS = [
+    '/',
+    '/manifest.json',
+    '/images/favicon/android-icon-192x192.png',
+    '/images/favicon/android-icon-96x96.png',
+    '/images/favicon/favicon-32x32.png',
+];
+
+// Conditions endpoints whose last response is served when offline
+const DATA_PATHS = /^\/api\/(buoy|wind|tide|temperature)$/;
+
+// Past this a slow network counts as no network for page loads
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Build assets the home page pulls in, so the cached page can boot offline
+function getPageAssets(html) {
+    const assets = new Set();
+    for (const match of html.matchAll(/(?:src|href)="(\/_next\/static\/[^"]+)"/g)) {
+        assets.add(match[1]);
+    }
+    return [...assets];
+}
+
+// The build the cached assets belong to, kept in the shell cache. Hashed
+// assets and page data from an older build are never asked for again, so a
+// page from a new deploy clears them out.
+const BUILD_ID_KEY = '/__build-id';
+
+function getBuildId(html) {
+    return html.match(/"buildId":"([^"]+)"/)?.[1] || null;
+}
+
+async function dropOldBuilds(html) {
+    const buildId = getBuildId(html);
+    if (!buildId) return;
+
+    const shell = await caches.open(SHELL_CACHE);
+    const known = await shell.match(BUILD_ID_KEY);
+    if (known && (await known.text()) === buildId) return;
+
+    // This page's assets may already be cached from the new build
+    const current = new Set(getPageAssets(html));
+    const pages = await caches.open(PAGE_CACHE);
+    const pathOf = (request) => new URL(request.url).pathname;
+
+    const [shellRequests, pageRequests] = await Promise.all([shell.keys(), pages.keys()]);
+    await Promise.all([
+        ...shellRequests
+            .filter((request) => pathOf(request).startsWith('/_next/static/') && !current.has(pathOf(request)))
+            .map((request) => shell.delete(request)),
+        ...pageRequests
+            .filter((request) => pathOf(request).startsWith('/_next/data/') &&
+                !pathOf(request).startsWith(`/_next/data/${buildId}/`))
+            .map((request) => pages.delete(request)),
+    ]);
+    await shell.put(BUILD_ID_KEY, new Response(buildId));
+}
+
+async function precacheShell() {
+    const shell = await caches.open(SHELL_CACHE);
+    const pages = await caches.open(PAGE_CACHE);
+
+    await Promise.all(SHELL_URLS.map(async (url) => {
+        try {
+            const response = await fetch(url, { cache: 'reload' });
+            if (!response.ok) return;
+
+            if (url === '/') {
+                const html = await response.clone().text();
+                await shell.addAll(getPageAssets(html)).catch(() => {});
+                await dropOldBuilds(html);
+            }
+            await (url === '/' ? pages : shell).put(url, response);
+        } catch {
+            // Cached on first visit instead
+        }
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, PAGE_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith('obsuf-') && !current.includes(key))
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function fetchWithTimeout(request, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), timeoutMs);
+        fetch(request).then(
+            (response) => { clearTimeout(timer); resolve(response); },
+            (error) => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+// Pages and page data: fresh when possible, the last copy when not
+async function handleNavigation(event) {
+    const { request } = event;
+    const cache = await caches.open(PAGE_CACHE);
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (request.mode === 'navigate') {
+                event.waitUntil(response.clone().text().then(dropOldBuilds));
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('/') : null);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Hashed build assets and images never change under the same URL
+async function handleStatic(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Conditions: always try the network. Good responses are kept with the time
+// they were fetched; offline, the kept one is served with `offline: true` and
+// `cachedAt` so the page can say how old it is.
+async function handleData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const body = await response.clone().text();
+            await cache.put(request, new Response(body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Cached-At': new Date().toISOString(),
+                },
+            }));
+        }
+        return response;
+    } catch {
+        const cached = await cache.match(request);
+        if (!cached) {
+            return new Response(JSON.stringify({
+                error: 'Offline',
+                message: 'No connection and no saved data for this request',
+                timestamp: new Date().toISOString(),
+            }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        const data = await cached.json();
+        return new Response(JSON.stringify({
+            ...data,
+            offline: true,
+            cachedAt: cached.headers.get('X-Cached-At'),
+        }), { headers: { 'Content-Type': 'application/json' } });
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' || url.pathname.startsWith('/_next/data/')) {
+        event.respondWith(handleNavigation(event));
+    } else if (url.pathname.startsWith('/_next/static/') || url.pathname.startsWith('/images/')) {
+        event.respondWith(handleStatic(request));
+    } else if (DATA_PATHS.test(url.pathname)) {
+        event.respondWith(handleData(request));
+    }
+});
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch {
+        payload = { body: event.data ? event.data.text() : '' };
+    }
+
+    const title = payload.title || 'obsuf.surf';
+    event.waitUntil(
+        self.registration.showNotification(title, {
+            body: payload.body || '',
+            tag: payload.tag,
+            renotify: Boolean(payload.tag),
+            icon: '/images/favicon/android-icon-192x192.png',
+            badge: '/images/favicon/android-icon-96x96.png',
+            data: { url: payload.url || '/' },
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    // Focus an open tab on that page if there is one
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const existing = windows.find((client) => client.url === url);
+            return existing ? existing.focus() : self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,60 @@
+// Local webhook receiver for trying out /api/webhooks:
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.mjs [--port 4000] [--fail 2]
+//
+// Verifies each delivery's signature, prints it, and answers 200. `--fail N`
+// answers 500 to the first N requests so you can watch the retries.
+import http from 'http';
+import crypto from 'crypto';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : Number(args[index + 1]);
+};
+
+const port = option('port', 4000);
+let failuresLeft = option('fail', 0);
+const secret = process.env.WEBHOOK_SECRET;
+
+// Same scheme as lib/webhooks.js signPayload(), with a 5 minute tolerance
+function verify(header = '', body) {
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${body}`).digest('hex');
+    const fresh = Math.abs(Date.now() / 1000 - Number(parts.t)) < 300;
+
+    return fresh && typeof parts.v1 === 'string' && parts.v1.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const event = req.headers['x-obsuf-event'];
+        const delivery = req.headers['x-obsuf-delivery'];
+
+        if (failuresLeft > 0) {
+            failuresLeft -= 1;
+            console.log(`✗ ${event} ${delivery} - failing on purpose (${failuresLeft} more)`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        if (secret && !verify(req.headers['x-obsuf-signature'], body)) {
+            console.log(`✗ ${event} ${delivery} - bad signature`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        const payload = JSON.parse(body);
+        console.log(`✓ ${event} ${delivery}${secret ? ' (signature ok)' : ''}`);
+        const shown = event === 'ping'
+            ? payload.webhook
+            : { spot: payload.spot.slug, change: payload.change, quality: payload.analysis.quality, summary: payload.analysis.summary };
+        console.log(JSON.stringify(shown, null, 2));
+        res.writeHead(200).end();
+    });
+}).listen(port, () => {
+    console.log(`Webhook receiver on http://localhost:${port}${secret ? '' : ' (no WEBHOOK_SECRET - signatures not checked)'}`);
+});